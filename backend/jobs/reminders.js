@@ -0,0 +1,24 @@
+const { sendDueReminders } = require('../utils/reminders');
+
+const REMINDER_INTERVAL_MS = 15 * 60 * 1000; // Look for due and overdue tasks every 15 minutes
+
+// Periodically remind project owners of tasks that are due soon or overdue
+const startReminders = () => {
+  const run = async () => {
+    try {
+      const sent = await sendDueReminders();
+      if (sent > 0) {
+        console.log(`⏰ Sent ${sent} due-date reminder(s)`);
+      }
+    } catch (error) {
+      console.error('Reminder error:', error);
+    }
+  };
+
+  run();
+
+  // Don't keep the process alive just for this timer
+  return setInterval(run, REMINDER_INTERVAL_MS).unref();
+};
+
+module.exports = startReminders;
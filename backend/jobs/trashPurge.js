@@ -0,0 +1,25 @@
+const { TRASH_RETENTION_DAYS, purgeExpiredTrash } = require('../utils/trash');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // Check the trash hourly
+
+// Periodically purge trashed projects and tasks past the retention period
+const startTrashPurge = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged.projects > 0 || purged.tasks > 0) {
+        console.log(`🗑️  Purged ${purged.projects} project(s) and ${purged.tasks} task(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  console.log(`🗑️  Trash retention: ${TRASH_RETENTION_DAYS} day(s)`);
+  run();
+
+  // Don't keep the process alive just for this timer
+  return setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = startTrashPurge;
@@ -0,0 +1,27 @@
+const { subscribe } = require('../utils/events');
+const { enqueueDeliveries, retryDueDeliveries } = require('../utils/webhooks');
+
+const RETRY_INTERVAL_MS = 30 * 1000; // Check for deliveries due for a retry every 30 seconds
+
+// Send events to subscribed webhooks as they happen, and periodically retry
+// deliveries that failed
+const startWebhookDelivery = () => {
+  subscribe(event => {
+    enqueueDeliveries(event).catch(error => {
+      console.error('Webhook delivery error:', error);
+    });
+  });
+
+  const retry = async () => {
+    try {
+      await retryDueDeliveries();
+    } catch (error) {
+      console.error('Webhook retry error:', error);
+    }
+  };
+
+  // Don't keep the process alive just for this timer
+  return setInterval(retry, RETRY_INTERVAL_MS).unref();
+};
+
+module.exports = startWebhookDelivery;
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A single field-level change recorded with an activity entry
+const changeSchema = new Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: Schema.Types.Mixed,
+  to: Schema.Types.Mixed
+}, {
+  _id: false
+});
+
+const activitySchema = new Schema({
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User', // User who performed the action
+    required: [true, 'Activity must have an actor']
+  },
+  project: {
+    type: Schema.Types.ObjectId,
+    ref: 'Project', // Project the entity belongs to
+    required: [true, 'Activity must belong to a project']
+  },
+  task: {
+    type: Schema.Types.ObjectId,
+    ref: 'Task' // Set for task and comment activity
+  },
+  entityType: {
+    type: String,
+    enum: ['project', 'task', 'member', 'comment'],
+    required: true
+  },
+  entityId: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'created',
+      'updated',
+      'deleted',
+      'restored',
+      'purged',
+      'archived',
+      'unarchived',
+      'imported',
+      'status_changed',
+      'assigned',
+      'unassigned',
+      'member_added',
+      'member_updated',
+      'member_removed'
+    ],
+    required: true
+  },
+  summary: {
+    type: String, // Human readable label, e.g. the task title at the time
+    trim: true,
+    maxlength: 200
+  },
+  changes: [changeSchema]
+}, {
+  timestamps: { createdAt: true, updatedAt: false } // Entries are never updated
+});
+
+// Indexes for cursor pagination of project and task activity (newest first)
+activitySchema.index({ project: 1, _id: -1 });
+activitySchema.index({ task: 1, _id: -1 });
+
+// The log is append-only: existing entries cannot be changed or removed
+activitySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Activity entries are append-only.'));
+  }
+  next();
+});
+
+activitySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Activity entries are append-only.'));
+  }
+);
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A secret-token iCalendar feed of a user's task due dates. Calendar apps
+// cannot send a Bearer header, so the token in the feed URL is the only
+// credential; deleting the feed revokes it.
+const calendarFeedSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User', // Owner of the feed; their project access applies
+    required: [true, 'Calendar feed must belong to a user']
+  },
+  project: {
+    type: Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null // Null for a feed of every project the user can access
+  },
+  tokenHash: {
+    type: String,
+    required: true // SHA-256 hash of the feed token
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// Index for looking up feeds by token
+calendarFeedSchema.index({ tokenHash: 1 }, { unique: true });
+
+// Index for listing a user's feeds
+calendarFeedSchema.index({ user: 1, createdAt: -1 });
+
+// Index for cascade deletion by project
+calendarFeedSchema.index({ project: 1 });
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
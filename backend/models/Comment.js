@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Previous versions of a comment body, kept when a comment is edited
+const revisionSchema = new Schema({
+  body: {
+    type: String,
+    required: true
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const commentSchema = new Schema({
+  body: {
+    type: String,
+    required: [true, 'Comment body is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  task: {
+    type: Schema.Types.ObjectId,
+    ref: 'Task', // Reference to Task model
+    required: [true, 'Comment must belong to a task']
+  },
+  project: {
+    type: Schema.Types.ObjectId,
+    ref: 'Project', // Stored so project deletion can remove comments directly
+    required: [true, 'Comment must belong to a project']
+  },
+  author: {
+    type: Schema.Types.ObjectId,
+    ref: 'User', // Reference to User model
+    required: [true, 'Comment must have an author']
+  },
+  revisions: [revisionSchema]
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// Index for listing a task's comments in order
+commentSchema.index({ task: 1, createdAt: 1 });
+
+// Index for cascade deletion by project
+commentSchema.index({ project: 1 });
+
+// Virtual flag for whether the comment has been edited
+commentSchema.virtual('edited').get(function() {
+  return this.revisions.length > 0;
+});
+
+// Ensure virtual fields are serialized
+commentSchema.set('toJSON', { virtuals: true });
+commentSchema.set('toObject', { virtuals: true });
+
+// Instance method to change the body while keeping the previous version
+commentSchema.methods.edit = function(body) {
+  this.revisions.push({ body: this.body, editedAt: new Date() });
+  this.body = body;
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
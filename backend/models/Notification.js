@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Outcome of sending a notification over one delivery channel
+const deliverySchema = new Schema({
+  channel: {
+    type: String,
+    required: true // e.g. email
+  },
+  sentAt: {
+    type: Date,
+    default: null // Null when sending failed
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+// A notification shown to a user in the app and sent over their enabled
+// delivery channels, e.g. a reminder that a task is due soon
+const notificationSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Notification must have a recipient']
+  },
+  project: {
+    type: Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  task: {
+    type: Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['task_due_soon', 'task_overdue'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  dueDate: {
+    type: Date,
+    required: true // Due date the reminder is about
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  deliveries: [deliverySchema]
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// Index for a user's notifications (newest first), optionally unread only
+notificationSchema.index({ user: 1, _id: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+// Each reminder is sent once per due date, so changing the due date sends it again
+notificationSchema.index({ task: 1, user: 1, type: 1, dueDate: 1 }, { unique: true });
+
+// Index for cascade deletion by project
+notificationSchema.index({ project: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
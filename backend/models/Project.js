@@ -1,5 +1,70 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const softDelete = require('./plugins/softDelete');
+
+// Member roles ordered from least to most privileged
+const ROLES = ['viewer', 'editor', 'owner'];
+
+const memberSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Member must reference a user']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: 'Role must be one of: viewer, editor, owner'
+    },
+    default: 'viewer'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// Default workflow used by every project unless customized
+const DEFAULT_WORKFLOW_STATUSES = [
+  { name: 'To Do', isDone: false },
+  { name: 'In Progress', isDone: false },
+  { name: 'Done', isDone: true }
+];
+
+// A workflow column; statuses marked isDone count as finished work
+const workflowStatusSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Status name is required'],
+    trim: true,
+    maxlength: [30, 'Status name cannot exceed 30 characters']
+  },
+  isDone: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  _id: false
+});
+
+// An allowed move between two statuses
+const workflowTransitionSchema = new Schema({
+  from: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, {
+  _id: false
+});
 
 const projectSchema = new Schema({
   name: {
@@ -20,21 +85,65 @@ const projectSchema = new Schema({
     ref: 'User', // Reference to User model
     required: [true, 'Project must belong to a user']
   },
+  members: [memberSchema], // Collaborators besides the owner in `user`
+  workflow: {
+    // Ordered task statuses (board columns); the first is the default
+    statuses: {
+      type: [workflowStatusSchema],
+      default: () => DEFAULT_WORKFLOW_STATUSES.map(status => ({ ...status })),
+      validate: {
+        validator: function(statuses) {
+          const names = statuses.map(status => status.name.toLowerCase());
+          return statuses.length > 0
+            && statuses.length <= 20
+            && new Set(names).size === names.length
+            && statuses.some(status => status.isDone);
+        },
+        message: 'Workflow must have 1-20 uniquely named statuses with at least one done status'
+      }
+    },
+    // Allowed status changes; when empty any change is allowed
+    transitions: [workflowTransitionSchema]
+  },
   status: {
     type: String,
     enum: ['Active', 'Completed', 'On Hold', 'Cancelled'],
     default: 'Active'
+  },
+  archivedAt: {
+    type: Date,
+    default: null // Archived projects are read-only and hidden from default lists
+  },
+  archivedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt
 });
 
+// Deleted projects go to the trash first
+projectSchema.plugin(softDelete);
+
 // Index for faster queries by user
 projectSchema.index({ user: 1 });
 
 // Index for user + name combination for uniqueness per user
 projectSchema.index({ user: 1, name: 1 }, { unique: true });
 
+// Index for finding projects shared with a user
+projectSchema.index({ 'members.user': 1 });
+
+// Index for hiding archived projects
+projectSchema.index({ archivedAt: 1 });
+
+// Text index for full-text search (matches in the name rank higher)
+projectSchema.index(
+  { name: 'text', description: 'text' },
+  { weights: { name: 5, description: 1 }, name: 'project_text_search' }
+);
+
 // Virtual for getting tasks associated with this project
 projectSchema.virtual('tasks', {
   ref: 'Task',
@@ -46,11 +155,182 @@ projectSchema.virtual('tasks', {
 projectSchema.set('toJSON', { virtuals: true });
 projectSchema.set('toObject', { virtuals: true });
 
-// Pre-remove hook to delete associated tasks when project is deleted
+// Static helper returning the query filter for projects a user can access.
+// Pass { includeArchived: false } to leave out archived projects.
+projectSchema.statics.accessFilter = function(userId, { includeArchived = true } = {}) {
+  return {
+    $or: [{ user: userId }, { 'members.user': userId }],
+    ...(!includeArchived && { archivedAt: null })
+  };
+};
+
+// Static helper to check whether a role satisfies a required role
+projectSchema.statics.roleSatisfies = function(role, requiredRole) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+};
+
+projectSchema.statics.ROLES = ROLES;
+
+// Group projects that share the same done statuses so task queries stay small
+const groupByDoneStatuses = (projects) => {
+  const groups = new Map();
+
+  projects.forEach(project => {
+    const doneStatuses = project.doneStatuses();
+    const key = JSON.stringify(doneStatuses);
+    if (!groups.has(key)) groups.set(key, { projectIds: [], doneStatuses });
+    groups.get(key).projectIds.push(project._id);
+  });
+
+  return [...groups.values()];
+};
+
+// Static helper returning a task filter matching done tasks in the given projects
+projectSchema.statics.doneTaskFilter = function(projects) {
+  const groups = groupByDoneStatuses(projects);
+  if (groups.length === 0) return { _id: null };
+
+  return {
+    $or: groups.map(group => ({
+      project: { $in: group.projectIds },
+      status: { $in: group.doneStatuses }
+    }))
+  };
+};
+
+// Static helper returning a task filter matching unfinished tasks in the given projects
+projectSchema.statics.openTaskFilter = function(projects) {
+  const groups = groupByDoneStatuses(projects);
+  if (groups.length === 0) return { _id: null };
+
+  return {
+    $or: groups.map(group => ({
+      project: { $in: group.projectIds },
+      status: { $nin: group.doneStatuses }
+    }))
+  };
+};
+
+// Static helper returning an aggregation expression that is true for done tasks
+projectSchema.statics.doneTaskExpr = function(projects) {
+  const groups = groupByDoneStatuses(projects);
+  if (groups.length === 0) return false;
+
+  return {
+    $or: groups.map(group => ({
+      $and: [
+        { $in: ['$project', group.projectIds] },
+        { $in: ['$status', group.doneStatuses] }
+      ]
+    }))
+  };
+};
+
+projectSchema.statics.DEFAULT_WORKFLOW_STATUSES = DEFAULT_WORKFLOW_STATUSES;
+
+// Instance method returning the workflow status names in order
+projectSchema.methods.statusNames = function() {
+  return this.workflow.statuses.map(status => status.name);
+};
+
+// Instance method returning the names of statuses that count as done
+projectSchema.methods.doneStatuses = function() {
+  return this.workflow.statuses.filter(status => status.isDone).map(status => status.name);
+};
+
+// Instance method returning the status new tasks start in
+projectSchema.methods.defaultStatus = function() {
+  return this.workflow.statuses[0].name;
+};
+
+projectSchema.methods.isDoneStatus = function(status) {
+  return this.doneStatuses().includes(status);
+};
+
+// Instance method to check if the workflow allows moving between two statuses
+projectSchema.methods.canTransition = function(from, to) {
+  if (from === to || this.workflow.transitions.length === 0) return true;
+  return this.workflow.transitions.some(transition => transition.from === from && transition.to === to);
+};
+
+// Instance method returning the user's role in this project (or null)
+projectSchema.methods.getRole = function(userId) {
+  if (!userId) return null;
+
+  // The creator stored in `user` is always an owner
+  const ownerId = this.user && this.user._id ? this.user._id : this.user;
+  if (ownerId && ownerId.toString() === userId.toString()) {
+    return 'owner';
+  }
+
+  const member = (this.members || []).find(m => {
+    const memberId = m.user && m.user._id ? m.user._id : m.user;
+    return memberId && memberId.toString() === userId.toString();
+  });
+
+  return member ? member.role : null;
+};
+
+// Instance method to check if a user has at least the given role
+projectSchema.methods.hasRole = function(userId, requiredRole = 'viewer') {
+  return this.constructor.roleSatisfies(this.getRole(userId), requiredRole);
+};
+
+// Instance method moving the project and its tasks to the trash
+projectSchema.methods.moveToTrash = async function(userId) {
+  const deletedAt = new Date();
+
+  // Tasks already in the trash keep their own entry
+  const { modifiedCount } = await mongoose.model('Task').updateMany(
+    { project: this._id, deletedAt: null },
+    { $set: { deletedAt, deletedBy: userId, trashedWith: this._id } }
+  );
+
+  this.set({ deletedAt, deletedBy: userId, trashedWith: null });
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { deletedAt, deletedBy: userId, trashedWith: null } }
+  );
+
+  return { trashedTasksCount: modifiedCount };
+};
+
+// Instance method restoring the project, and the tasks trashed with it, from the trash
+projectSchema.methods.restoreFromTrash = async function() {
+  const restore = { deletedAt: null, deletedBy: null, trashedWith: null };
+
+  const { modifiedCount } = await mongoose.model('Task').updateMany(
+    { trashedWith: this._id },
+    { $set: restore }
+  );
+
+  this.set(restore);
+  await this.constructor.updateOne({ _id: this._id }, { $set: restore });
+
+  return { restoredTasksCount: modifiedCount };
+};
+
+// Pre-remove hook to delete associated tasks and comments when project is deleted
 projectSchema.pre('deleteOne', { document: true, query: false }, async function(next) {
   try {
     // Delete all tasks associated with this project
     await mongoose.model('Task').deleteMany({ project: this._id });
+
+    // Delete all comments on those tasks
+    await mongoose.model('Comment').deleteMany({ project: this._id });
+
+    // Delete the status history of those tasks
+    await mongoose.model('StatusTransition').deleteMany({ project: this._id });
+
+    // Revoke calendar feeds of the project
+    await mongoose.model('CalendarFeed').deleteMany({ project: this._id });
+
+    // Delete the project's webhooks and their delivery logs
+    await mongoose.model('Webhook').deleteMany({ project: this._id });
+    await mongoose.model('WebhookDelivery').deleteMany({ project: this._id });
+
+    // Delete reminders about the project's tasks
+    await mongoose.model('Notification').deleteMany({ project: this._id });
     next();
   } catch (error) {
     next(error);
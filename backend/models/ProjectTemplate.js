@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A task saved in a template. `ref` identifies the task within the template
+// so subtasks and dependencies can point at each other.
+const templateTaskSchema = new Schema({
+  ref: {
+    type: String,
+    required: true
+  },
+  parentRef: {
+    type: String,
+    default: null
+  },
+  blockedByRefs: [String],
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [100, 'Task title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Task description is required'],
+    trim: true,
+    maxlength: [1000, 'Task description cannot exceed 1000 characters']
+  },
+  priority: {
+    type: String,
+    enum: ['Low', 'Medium', 'High', 'Urgent'],
+    default: 'Medium'
+  },
+  dueOffsetDays: {
+    type: Number,
+    default: null // Days from the project's start date to the task's due date
+  },
+  checklist: [{
+    _id: false,
+    text: {
+      type: String,
+      required: true
+    }
+  }]
+}, {
+  _id: false
+});
+
+const projectTemplateSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    minlength: [3, 'Template name must be at least 3 characters'],
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Template description is required'],
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User', // Owner of the template
+    required: [true, 'Template must belong to a user']
+  },
+  sourceProject: {
+    type: Schema.Types.ObjectId,
+    ref: 'Project', // Project the template was saved from
+    default: null
+  },
+  workflow: {
+    statuses: [{
+      _id: false,
+      name: String,
+      isDone: Boolean
+    }],
+    transitions: [{
+      _id: false,
+      from: String,
+      to: String
+    }]
+  },
+  tasks: [templateTaskSchema]
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// Index for user + name combination for uniqueness per user
+projectTemplateSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ProjectTemplate', projectTemplateSchema);
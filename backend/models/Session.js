@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A session is one refresh-token family: every rotation replaces the
+// stored hash and bumps the generation, so older tokens stop working
+const sessionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User', // Reference to User model
+    required: [true, 'Session must belong to a user']
+  },
+  tokenHash: {
+    type: String,
+    required: true // SHA-256 hash of the current refresh token secret
+  },
+  generation: {
+    type: Number,
+    default: 0 // Incremented every time the refresh token is rotated
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_change', 'token_reuse']
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// Index for revoking all sessions of a user
+sessionSchema.index({ user: 1 });
+
+// TTL index so expired sessions are removed by MongoDB automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One step in a task's status history, recorded whenever a task is created
+// or changes status. Reports replay these to chart how a project trends.
+const statusTransitionSchema = new Schema({
+  task: {
+    type: Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Status transition must belong to a task']
+  },
+  project: {
+    type: Schema.Types.ObjectId,
+    ref: 'Project', // Follows the task when it moves to another project
+    required: [true, 'Status transition must belong to a project']
+  },
+  from: {
+    type: String,
+    default: null // Null when the task was created
+  },
+  to: {
+    type: String,
+    required: [true, 'Status transition must have a target status']
+  },
+  isDone: {
+    type: Boolean,
+    default: false // Whether `to` counted as done in the workflow at the time
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for replaying a project's history in order
+statusTransitionSchema.index({ project: 1, at: 1 });
+
+// Index for cascade deletion and moves by task
+statusTransitionSchema.index({ task: 1 });
+
+// Record status changes given as { task, project, from, to, at }.
+// Done flags come from each project's current workflow unless given.
+statusTransitionSchema.statics.recordChanges = async function(changes, { session = null } = {}) {
+  if (changes.length === 0) return [];
+
+  const projectIds = [...new Set(changes.map(change => change.project.toString()))];
+  const projects = await mongoose.model('Project').find({ _id: { $in: projectIds } })
+    .select('workflow')
+    .setOptions({ withDeleted: true })
+    .session(session);
+  const projectsById = new Map(projects.map(project => [project._id.toString(), project]));
+
+  const transitions = changes.map(({ task, project, from = null, to, isDone, at }) => {
+    const workflowProject = projectsById.get(project.toString());
+
+    return {
+      task,
+      project,
+      from,
+      to,
+      isDone: isDone !== undefined
+        ? isDone
+        : Boolean(workflowProject && workflowProject.isDoneStatus(to)),
+      at: at || new Date()
+    };
+  });
+
+  return this.insertMany(transitions, { session });
+};
+
+module.exports = mongoose.model('StatusTransition', statusTransitionSchema);
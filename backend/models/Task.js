@@ -1,5 +1,56 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { rankAfter } = require('../utils/rank');
+const { nextOccurrenceDate } = require('../utils/recurrence');
+const softDelete = require('./plugins/softDelete');
+const StatusTransition = require('./StatusTransition');
+
+// A single step in a task's checklist; array order is the display order
+const checklistItemSchema = new Schema({
+  text: {
+    type: String,
+    required: [true, 'Checklist item text is required'],
+    trim: true,
+    maxlength: [200, 'Checklist item cannot exceed 200 characters']
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// How a recurring task repeats. Every occurrence in a series carries the rule.
+const recurrenceSchema = new Schema({
+  frequency: {
+    type: String,
+    enum: {
+      values: ['daily', 'weekly', 'monthly', 'custom'],
+      message: 'Frequency must be one of: daily, weekly, monthly, custom'
+    },
+    required: [true, 'Recurrence frequency is required']
+  },
+  interval: {
+    type: Number,
+    default: 1, // Every N days/weeks/months; days for custom rules
+    min: [1, 'Recurrence interval must be at least 1'],
+    max: [365, 'Recurrence interval cannot exceed 365']
+  },
+  endDate: {
+    type: Date,
+    default: null // No occurrences are created after this date
+  },
+  count: {
+    type: Number,
+    default: null, // Total number of occurrences in the series
+    min: [1, 'Recurrence count must be at least 1']
+  }
+}, {
+  _id: false
+});
 
 const taskSchema = new Schema({
   title: {
@@ -17,9 +68,16 @@ const taskSchema = new Schema({
   },
   status: {
     type: String,
-    enum: ['To Do', 'In Progress', 'Done'],
-    default: 'To Do',
-    required: true
+    trim: true,
+    required: [true, 'Task status is required'],
+    validate: {
+      // Status must be one of the statuses in the project's workflow
+      validator: async function(value) {
+        const project = await this.getWorkflowProject();
+        return !project || project.statusNames().includes(value);
+      },
+      message: props => `"${props.value}" is not a status in this project's workflow`
+    }
   },
   project: {
     type: Schema.Types.ObjectId,
@@ -31,11 +89,43 @@ const taskSchema = new Schema({
     enum: ['Low', 'Medium', 'High', 'Urgent'],
     default: 'Medium'
   },
+  assignees: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User' // Users responsible for the task
+  }],
+  parent: {
+    type: Schema.Types.ObjectId,
+    ref: 'Task', // Parent task when this task is a subtask
+    default: null
+  },
+  checklist: [checklistItemSchema],
+  blockedBy: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Task' // Tasks in the same project that must be finished first
+  }],
+  rank: {
+    type: String,
+    default: null // Position within the project's status column on the board
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  seriesId: {
+    type: Schema.Types.ObjectId,
+    default: null // Shared by every occurrence of a recurring task
+  },
+  occurrence: {
+    type: Number,
+    default: null // Position of this task within its series, starting at 1
+  },
   dueDate: {
     type: Date,
     validate: {
       validator: function(value) {
-        // Due date should be in the future if provided
+        // Due date should be in the future when it is set, but existing
+        // overdue tasks can still be saved (e.g. to mark them done)
+        if (!this.isNew && !this.isModified('dueDate')) return true;
         return !value || value >= new Date();
       },
       message: 'Due date must be in the future'
@@ -45,10 +135,30 @@ const taskSchema = new Schema({
   timestamps: true // Adds createdAt and updatedAt
 });
 
+// Deleted tasks go to the trash first
+taskSchema.plugin(softDelete);
+
 // Indexes for performance
 taskSchema.index({ project: 1 }); // For finding tasks by project
 taskSchema.index({ status: 1 }); // For filtering by status
 taskSchema.index({ project: 1, status: 1 }); // Compound index for common queries
+taskSchema.index({ assignees: 1 }); // For finding tasks assigned to a user
+taskSchema.index({ parent: 1 }); // For finding subtasks
+taskSchema.index({ blockedBy: 1 }); // For finding tasks blocked by a task
+taskSchema.index({ project: 1, status: 1, rank: 1 }); // For board columns in rank order
+// For recurring task series. Unique so that two requests finishing the same
+// occurrence at once cannot both create the next one.
+taskSchema.index(
+  { seriesId: 1, occurrence: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $type: 'objectId' } } }
+);
+taskSchema.index({ dueDate: 1 }); // For finding tasks to send due-date reminders about
+
+// Text index for full-text search (matches in the title rank higher)
+taskSchema.index(
+  { title: 'text', description: 'text' },
+  { weights: { title: 5, description: 1 }, name: 'task_text_search' }
+);
 
 // Virtual to populate project details
 taskSchema.virtual('projectDetails', {
@@ -58,19 +168,495 @@ taskSchema.virtual('projectDetails', {
   justOne: true
 });
 
+// Virtual for checklist progress, e.g. { done: 3, total: 5, label: '3/5' }
+taskSchema.virtual('progress').get(function() {
+  const total = this.checklist ? this.checklist.length : 0;
+  const done = total > 0 ? this.checklist.filter(item => item.done).length : 0;
+
+  return {
+    done,
+    total,
+    percent: total > 0 ? Math.round((done / total) * 100) : 0,
+    label: `${done}/${total}`
+  };
+});
+
 // Ensure virtual fields are serialized
 taskSchema.set('toJSON', { virtuals: true });
 taskSchema.set('toObject', { virtuals: true });
 
+// New tasks start in the first status of their project's workflow
+taskSchema.pre('validate', async function(next) {
+  try {
+    if (!this.status) {
+      const project = await this.getWorkflowProject();
+      if (project) this.status = project.defaultStatus();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A task given a recurrence rule starts a series of its own
+taskSchema.pre('validate', function(next) {
+  if (this.recurrence && !this.seriesId) {
+    this.seriesId = this._id;
+    this.occurrence = 1;
+  }
+  next();
+});
+
+// Tasks entering a column without an explicit rank go to the bottom of it.
+// This assumes tasks entering the same column are saved one after another:
+// tasks validated together, or saved by concurrent requests, read the same
+// bottom rank and share it. Code saving several tasks into one column ranks
+// them itself (imports, bulk updates); ties left by concurrent requests are
+// ordered by ID and spread out by the board move when it needs the room.
+taskSchema.pre('validate', async function(next) {
+  try {
+    if ((this.isNew || this.isModified('status')) && !this.isModified('rank') && this.status) {
+      this.rank = await this.constructor.nextRank(this.project, this.status, this._id);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remember the status a task was loaded with so a change can be recorded
+taskSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+// Note the initial status of new tasks and every later status change...
+taskSchema.pre('save', function(next) {
+  this.$locals.statusChange = (this.isNew || this.isModified('status'))
+    ? { from: this.isNew ? null : this.$locals.savedStatus || null }
+    : null;
+  next();
+});
+
+// ...and add it to the status history once saved.
+// History failures are reported but never fail the save that caused them.
+taskSchema.post('save', async function() {
+  const change = this.$locals.statusChange;
+  if (!change) return;
+
+  this.$locals.statusChange = null;
+  this.$locals.savedStatus = this.status;
+
+  try {
+    await StatusTransition.recordChanges([{
+      task: this._id,
+      project: this.project._id || this.project,
+      from: change.from,
+      to: this.status,
+      at: this.updatedAt
+    }], { session: this.$session() });
+  } catch (error) {
+    console.error('Status history error:', error);
+  }
+});
+
+// Tasks created in bulk (e.g. from a template) start their history too
+taskSchema.post('insertMany', async function(docs) {
+  try {
+    await StatusTransition.recordChanges(docs.map(doc => ({
+      task: doc._id,
+      project: doc.project,
+      to: doc.status,
+      at: doc.createdAt
+    })));
+  } catch (error) {
+    console.error('Status history error:', error);
+  }
+});
+
+// Pre-remove hook to delete subtasks and comments when a task is deleted
+taskSchema.pre('deleteOne', { document: true, query: false }, async function(next) {
+  try {
+    // Cascade inside the same transaction when the task was deleted in one
+    const session = this.$session();
+
+    // Subtasks are deleted with their parent, like tasks with their project
+    const descendantIds = await this.constructor.findDescendantIds(this._id, { session });
+
+    if (descendantIds.length > 0) {
+      await this.constructor.deleteMany({ _id: { $in: descendantIds } }).session(session);
+    }
+
+    const removedIds = [this._id, ...descendantIds];
+    await mongoose.model('Comment').deleteMany({ task: { $in: removedIds } }).session(session);
+    await StatusTransition.deleteMany({ task: { $in: removedIds } }).session(session);
+    await mongoose.model('Notification').deleteMany({ task: { $in: removedIds } }).session(session);
+
+    // Deleted tasks no longer block anything
+    await this.constructor.updateMany(
+      { blockedBy: { $in: removedIds } },
+      { $pull: { blockedBy: { $in: removedIds } } }
+    ).session(session);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Static method returning the IDs of all subtasks below a task, at any depth,
+// including subtasks in the trash
+taskSchema.statics.findDescendantIds = async function(taskId, { session = null } = {}) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(taskId) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent',
+        as: 'descendants'
+      }
+    },
+    { $project: { ids: '$descendants._id' } }
+  ]).option({ withDeleted: true }).session(session);
+
+  return result ? result.ids : [];
+};
+
+// Static method to validate a parent assignment.
+// Returns an error message, or null when the parent is valid.
+taskSchema.statics.validateParent = async function(task, parentId) {
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    return 'Invalid parent task ID format.';
+  }
+
+  if (!task.isNew && task._id.toString() === parentId.toString()) {
+    return 'A task cannot be its own parent.';
+  }
+
+  const parent = await this.findById(parentId).select('project');
+  const projectId = task.project && task.project._id ? task.project._id : task.project;
+
+  if (!parent || parent.project.toString() !== projectId.toString()) {
+    return 'Parent task must belong to the same project.';
+  }
+
+  // A task cannot be moved underneath one of its own subtasks
+  if (!task.isNew) {
+    const descendantIds = await this.findDescendantIds(task._id);
+    if (descendantIds.some(id => id.toString() === parentId.toString())) {
+      return 'A task cannot be a subtask of its own subtask.';
+    }
+  }
+
+  return null;
+};
+
+// Static method to check whether making a task blocked by another would create a cycle
+taskSchema.statics.wouldCreateCycle = async function(taskId, blockerId) {
+  if (taskId.toString() === blockerId.toString()) return true;
+
+  // Walk every task the blocker (transitively) depends on
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(blockerId) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$blockedBy',
+        connectFromField: 'blockedBy',
+        connectToField: '_id',
+        as: 'upstream'
+      }
+    },
+    { $project: { ids: '$upstream._id' } }
+  ]).option({ withDeleted: true });
+
+  return Boolean(result && result.ids.some(id => id.toString() === taskId.toString()));
+};
+
+// Instance method returning the task's project with its workflow loaded,
+// reusing the populated project when it already includes the workflow
+taskSchema.methods.getWorkflowProject = async function() {
+  if (this.populated('project') && this.project.isSelected('workflow')) {
+    return this.project;
+  }
+
+  const projectId = this.project && this.project._id ? this.project._id : this.project;
+  if (!projectId) return null;
+
+  return mongoose.model('Project').findById(projectId).select('workflow');
+};
+
+// Instance method returning the blockers of this task that are not done yet.
+// Blockers share the task's project, so its done statuses apply.
+taskSchema.methods.findUnfinishedBlockers = async function() {
+  if (!this.blockedBy || this.blockedBy.length === 0) return [];
+
+  const project = await this.getWorkflowProject();
+
+  return this.constructor.find({
+    _id: { $in: this.blockedBy },
+    status: { $nin: project.doneStatuses() }
+  }).select('title status');
+};
+
+// Static method adding `blocks` and `isBlocked` to tasks for responses
+taskSchema.statics.withDependencyInfo = async function(tasks) {
+  const taskIds = tasks.map(task => task._id);
+  const blockerIds = tasks.flatMap(task => task.blockedBy.map(blocker => blocker._id || blocker));
+
+  const [blockers, dependents] = await Promise.all([
+    this.find({ _id: { $in: blockerIds } }).select('status project'),
+    this.find({ blockedBy: { $in: taskIds } }).select('title status blockedBy')
+  ]);
+
+  // Whether a blocker is finished depends on its project's workflow
+  const projects = await mongoose.model('Project')
+    .find({ _id: { $in: blockers.map(blocker => blocker.project) } })
+    .select('workflow');
+  const projectsById = new Map(projects.map(project => [project._id.toString(), project]));
+
+  const unfinished = new Set(blockers
+    .filter(blocker => {
+      const project = projectsById.get(blocker.project.toString());
+      return !project || !project.isDoneStatus(blocker.status);
+    })
+    .map(blocker => blocker._id.toString()));
+
+  return tasks.map(task => {
+    const id = task._id.toString();
+    return {
+      ...task.toJSON(),
+      blocks: dependents
+        .filter(dependent => dependent.blockedBy.some(blocker => blocker.toString() === id))
+        .map(dependent => ({ _id: dependent._id, title: dependent.title, status: dependent.status })),
+      isBlocked: task.blockedBy.some(blocker => unfinished.has((blocker._id || blocker).toString()))
+    };
+  });
+};
+
+// Static method returning a rank that places a task at the bottom of a column.
+// Pass the session when moving tasks inside a transaction so tasks already
+// moved in it are counted.
+taskSchema.statics.nextRank = async function(projectId, status, excludeId = null, { session = null } = {}) {
+  const filter = { project: projectId && projectId._id ? projectId._id : projectId, status, rank: { $ne: null } };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const last = await this.findOne(filter).sort({ rank: -1 }).select('rank').session(session);
+  return rankAfter(last ? last.rank : null);
+};
+
+// Static method giving unranked tasks in a column (created before ranks
+// existed) ranks below the ranked ones, oldest first
+taskSchema.statics.ensureRanks = async function(projectId, status) {
+  const unranked = await this.find({ project: projectId, status, rank: null })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('_id');
+  if (unranked.length === 0) return;
+
+  let rank = await this.nextRank(projectId, status);
+  const operations = unranked.map((task, index) => {
+    if (index > 0) rank = rankAfter(rank);
+    return { updateOne: { filter: { _id: task._id }, update: { $set: { rank } } } };
+  });
+
+  await this.bulkWrite(operations);
+};
+
+// Static method giving every task in a column a rank of its own, keeping the
+// board order (rank, then ID). Used when tasks share a rank, which leaves
+// no room to place a task between them.
+taskSchema.statics.spreadRanks = async function(projectId, status) {
+  const tasks = await this.find({ project: projectId, status })
+    .sort({ rank: 1, _id: 1 })
+    .select('_id');
+  if (tasks.length === 0) return;
+
+  let rank = null;
+  const operations = tasks.map(task => {
+    rank = rankAfter(rank);
+    return { updateOne: { filter: { _id: task._id }, update: { $set: { rank } } } };
+  });
+
+  await this.bulkWrite(operations);
+};
+
+// Instance method moving the task and its subtasks to another project.
+// Links that would cross projects are cleared: the parent (unless it is
+// already in the target project), dependencies on tasks that stay behind
+// and assignees who are not members of the target project. Statuses missing
+// from the target workflow fall back to its default status.
+// Returns the IDs of every moved task.
+taskSchema.methods.moveToProject = async function(targetProject, { session = null } = {}) {
+  const Task = this.constructor;
+  const targetId = targetProject._id;
+  const descendantIds = await Task.findDescendantIds(this._id, { session });
+  const movedIds = [this._id, ...descendantIds];
+  const memberIds = [targetProject.user, ...targetProject.members.map(member => member.user)];
+  const isIn = (ids, id) => ids.some(other => other.toString() === (id._id || id).toString());
+
+  if (this.parent) {
+    const parent = await Task.findById(this.parent).select('project').session(session);
+    if (!parent || parent.project.toString() !== targetId.toString()) {
+      this.parent = null;
+    }
+  }
+
+  this.project = targetProject;
+  this.blockedBy = this.blockedBy.filter(blocker => isIn(movedIds, blocker));
+  this.assignees = this.assignees.filter(assignee => isIn(memberIds, assignee));
+  if (!targetProject.statusNames().includes(this.status)) {
+    this.status = targetProject.defaultStatus();
+  }
+  this.rank = await Task.nextRank(targetId, this.status, this._id, { session });
+
+  this.$session(session);
+  await this.save();
+
+  // History follows the tasks so reports on the target project include it
+  await StatusTransition.updateMany(
+    { task: { $in: movedIds } },
+    { $set: { project: targetId } }
+  ).session(session);
+
+  if (descendantIds.length > 0) {
+    await Task.updateMany(
+      { _id: { $in: descendantIds } },
+      {
+        $set: { project: targetId, rank: null },
+        $pull: { assignees: { $nin: memberIds }, blockedBy: { $nin: movedIds } }
+      }
+    ).session(session);
+
+    const remapped = await Task.find({
+      _id: { $in: descendantIds },
+      status: { $nin: targetProject.statusNames() }
+    }).select('status').setOptions({ withDeleted: true }).session(session);
+
+    if (remapped.length > 0) {
+      await Task.updateMany(
+        { _id: { $in: remapped.map(task => task._id) } },
+        { $set: { status: targetProject.defaultStatus() } }
+      ).session(session);
+      await StatusTransition.recordChanges(remapped.map(task => ({
+        task: task._id,
+        project: targetId,
+        from: task.status,
+        to: targetProject.defaultStatus()
+      })), { session });
+    }
+  }
+
+  // Tasks left behind can no longer be blocked by the moved tasks
+  await Task.updateMany(
+    { _id: { $nin: movedIds }, blockedBy: { $in: movedIds } },
+    { $pull: { blockedBy: { $in: movedIds } } }
+  ).session(session);
+
+  await mongoose.model('Comment').updateMany(
+    { task: { $in: movedIds } },
+    { $set: { project: targetId } }
+  ).session(session);
+  await mongoose.model('Notification').updateMany(
+    { task: { $in: movedIds } },
+    { $set: { project: targetId } }
+  ).session(session);
+
+  return { movedIds };
+};
+
+// Instance method creating the next occurrence of a recurring task, with its
+// due date advanced by the recurrence rule. Returns the new task, or null when
+// the series has ended or the next occurrence already exists.
+taskSchema.methods.createNextOccurrence = async function() {
+  const rule = this.recurrence;
+  if (!rule) return null;
+
+  const occurrence = this.occurrence || 1;
+  if (rule.count && occurrence >= rule.count) return null;
+
+  // Finishing a reopened occurrence again must not create a second copy,
+  // even when the next occurrence is in the trash
+  const seriesId = this.seriesId || this._id;
+  const nextExists = await this.constructor.exists({ seriesId, occurrence: occurrence + 1 })
+    .setOptions({ withDeleted: true });
+  if (nextExists) return null;
+
+  const dueDate = nextOccurrenceDate(rule, this.dueDate || new Date());
+  if (rule.endDate && dueDate > rule.endDate) return null;
+
+  const next = new this.constructor({
+    title: this.title,
+    description: this.description,
+    priority: this.priority,
+    project: this.project._id || this.project,
+    assignees: this.assignees.map(assignee => assignee._id || assignee),
+    parent: this.parent,
+    checklist: this.checklist.map(item => ({ text: item.text })),
+    dueDate,
+    recurrence: rule.toObject(),
+    seriesId,
+    occurrence: occurrence + 1
+  });
+
+  try {
+    await next.save();
+  } catch (error) {
+    // Another request created the next occurrence first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+  return next;
+};
+
+// Instance method moving the task and its subtasks to the trash
+taskSchema.methods.moveToTrash = async function(userId, { session = null } = {}) {
+  const deletedAt = new Date();
+  const descendantIds = await this.constructor.findDescendantIds(this._id, { session });
+
+  // Subtasks already in the trash keep their own entry
+  const { modifiedCount } = await this.constructor.updateMany(
+    { _id: { $in: descendantIds }, deletedAt: null },
+    { $set: { deletedAt, deletedBy: userId, trashedWith: this._id } }
+  ).session(session);
+
+  this.set({ deletedAt, deletedBy: userId, trashedWith: null });
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { deletedAt, deletedBy: userId, trashedWith: null } }
+  ).session(session);
+
+  return { trashedSubtasksCount: modifiedCount };
+};
+
+// Instance method restoring the task, and the subtasks trashed with it, from the trash
+taskSchema.methods.restoreFromTrash = async function() {
+  const restore = { deletedAt: null, deletedBy: null, trashedWith: null };
+
+  // A parent that is gone or still in the trash makes this a top-level task
+  if (this.parent && !(await this.constructor.exists({ _id: this.parent }))) {
+    this.parent = null;
+  }
+
+  const { modifiedCount } = await this.constructor.updateMany(
+    { trashedWith: this._id },
+    { $set: restore }
+  );
+
+  this.set(restore);
+  await this.constructor.updateOne({ _id: this._id }, { $set: { ...restore, parent: this.parent } });
+
+  return { restoredSubtasksCount: modifiedCount };
+};
+
 // Static method to get tasks by project with user verification
 taskSchema.statics.findByProjectAndUser = async function(projectId, userId) {
   try {
-    // First verify the project belongs to the user
+    // First verify the user is a member of the project
     const Project = mongoose.model('Project');
-    const project = await Project.findOne({ _id: projectId, user: userId });
+    const project = await Project.findOne({ _id: projectId, ...Project.accessFilter(userId) });
     
     if (!project) {
-      return null; // Project not found or doesn't belong to user
+      return null; // Project not found or not shared with user
     }
     
     // Return tasks for this project
@@ -80,11 +666,11 @@ taskSchema.statics.findByProjectAndUser = async function(projectId, userId) {
   }
 };
 
-// Instance method to verify task ownership through project
-taskSchema.methods.verifyOwnership = async function(userId) {
+// Instance method to verify a user's role on the task's project
+taskSchema.methods.verifyAccess = async function(userId, requiredRole = 'viewer') {
   try {
-    await this.populate('project', 'user');
-    return this.project.user.toString() === userId.toString();
+    await this.populate('project', 'user members');
+    return this.project.hasRole(userId, requiredRole);
   } catch (error) {
     throw error;
   }
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 
+// Longest time before a due date that reminders can be sent
+const MAX_REMINDER_LEAD_HOURS = 168; // One week
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -24,6 +27,16 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
+  },
+  reminderLeadHours: {
+    type: Number,
+    min: [0, 'Reminder lead time cannot be negative'],
+    max: [MAX_REMINDER_LEAD_HOURS, `Reminder lead time cannot exceed ${MAX_REMINDER_LEAD_HOURS} hours`],
+    default: 24 // Hours before a due date to send a reminder; 0 sends overdue notices only
+  },
+  emailNotifications: {
+    type: Boolean,
+    default: true
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt fields
@@ -66,4 +79,6 @@ userSchema.methods.toJSON = function() {
   return userObject;
 };
 
+userSchema.statics.MAX_REMINDER_LEAD_HOURS = MAX_REMINDER_LEAD_HOURS;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { EVENT_TYPES } = require('../utils/events');
+const { ALLOW_PRIVATE_WEBHOOK_URLS, isPrivateHost } = require('../utils/webhookTargets');
+
+// An outgoing webhook subscription: events of the selected types in a
+// project are POSTed to the target URL, signed with the secret
+const webhookSchema = new Schema({
+  project: {
+    type: Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Webhook must belong to a project']
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2000, 'Webhook URL cannot exceed 2000 characters'],
+    validate: [{
+      validator: function(value) {
+        try {
+          return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Webhook URL must be a valid http or https URL'
+    }, {
+      validator: function(value) {
+        try {
+          return ALLOW_PRIVATE_WEBHOOK_URLS || !isPrivateHost(new URL(value).hostname);
+        } catch (error) {
+          return true; // Reported by the URL format check
+        }
+      },
+      message: 'Webhook URL cannot point to localhost or a private network address'
+    }]
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Webhook description cannot exceed 200 characters'],
+    default: ''
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: ['*', ...EVENT_TYPES],
+        message: '"{VALUE}" is not a webhook event type'
+      }
+    }],
+    validate: {
+      validator: value => value.length > 0,
+      message: 'Select at least one event type'
+    }
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false // Only needed to sign deliveries
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// Index for finding a project's webhooks when an event happens
+webhookSchema.index({ project: 1, active: 1 });
+
+// Instance method checking whether the webhook wants an event
+webhookSchema.methods.matches = function(event) {
+  return this.events.includes('*') || event.types.some(type => this.events.includes(type));
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
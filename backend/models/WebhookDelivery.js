@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One event sent (or to be sent) to a webhook, with the outcome of the
+// latest attempt. Failed attempts are retried with backoff.
+const webhookDeliverySchema = new Schema({
+  webhook: {
+    type: Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  project: {
+    type: Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true // Event type, e.g. task.created
+  },
+  payload: {
+    type: Schema.Types.Mixed,
+    required: true // JSON body sent to the webhook
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now // Null once no more attempts will be made
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null // Network error or timeout of the latest attempt
+  },
+  duration: {
+    type: Number,
+    default: null // Milliseconds the latest attempt took
+  },
+  redeliveryOf: {
+    type: Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null // Original delivery when sent again by hand
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// Index for a webhook's delivery log (newest first)
+webhookDeliverySchema.index({ webhook: 1, _id: -1 });
+
+// Index for finding deliveries due for another attempt
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Index for cascade deletion by project
+webhookDeliverySchema.index({ project: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
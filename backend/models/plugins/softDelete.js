@@ -0,0 +1,57 @@
+const { Schema } = require('mongoose');
+
+// Queries that hide trashed documents. Updates and deletes are left alone so
+// cascades and cleanups also reach documents in the trash.
+const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+
+// Soft delete plugin: deleting moves a document to the trash by setting
+// `deletedAt`. Trashed documents are excluded from reads and aggregations
+// unless the query filters on `deletedAt` itself or sets the `withDeleted`
+// option, e.g. Model.find(filter).setOptions({ withDeleted: true }).
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null // Set while the document is in the trash
+    },
+    deletedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    trashedWith: {
+      type: Schema.Types.ObjectId,
+      default: null // Document whose deletion moved this one to the trash
+    }
+  });
+
+  schema.index({ deletedAt: 1 }); // For listing and purging the trash
+  schema.index({ trashedWith: 1 }); // For restoring items trashed together
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+
+    // $text searches and $geoNear must stay the first stage
+    if (first && first.$geoNear) return;
+    if (first && first.$match && first.$match.$text) {
+      if (!Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+        first.$match.deletedAt = null;
+      }
+      return;
+    }
+
+    pipeline.unshift({ $match: { deletedAt: null } });
+  });
+};
+
+module.exports = softDelete;
@@ -0,0 +1,200 @@
+const express = require('express');
+const crypto = require('crypto');
+const CalendarFeed = require('../../models/CalendarFeed');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const { authenticateToken, hashToken } = require('../../utils/auth');
+const { taskEvent, buildCalendar } = require('../../utils/ical');
+
+const router = express.Router();
+
+const MAX_FEEDS_PER_USER = 20;
+
+// Public URL of a feed, based on the address the request came in on
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/feeds/${token}.ics`;
+
+// Feed details for responses. The token is only shown when a feed is created.
+const formatFeed = (feed) => ({
+  _id: feed._id,
+  project: feed.project,
+  lastAccessedAt: feed.lastAccessedAt,
+  createdAt: feed.createdAt
+});
+
+// @route   POST /api/calendar/feeds
+// @desc    Create a secret-token iCalendar feed of task due dates for one project, or all of them
+// @access  Private
+router.post('/feeds', authenticateToken, async (req, res) => {
+  try {
+    const { projectId } = req.body;
+    const userId = req.user._id;
+
+    let project = null;
+    if (projectId) {
+      project = await Project.findById(projectId);
+
+      if (!project || !project.getRole(userId)) {
+        return res.status(404).json({
+          message: 'Project not found.'
+        });
+      }
+    }
+
+    const feedCount = await CalendarFeed.countDocuments({ user: userId });
+    if (feedCount >= MAX_FEEDS_PER_USER) {
+      return res.status(409).json({
+        message: `You can have at most ${MAX_FEEDS_PER_USER} calendar feeds. Revoke one you no longer use first.`
+      });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const feed = await CalendarFeed.create({
+      user: userId,
+      project: project ? project._id : null,
+      tokenHash: hashToken(token)
+    });
+
+    await feed.populate('project', 'name');
+
+    res.status(201).json({
+      message: 'Calendar feed created. Copy the URL now; it will not be shown again.',
+      feed: {
+        ...formatFeed(feed),
+        url: feedUrl(req, token)
+      }
+    });
+
+  } catch (error) {
+    console.error('Calendar feed creation error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid project ID format.'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during calendar feed creation.'
+    });
+  }
+});
+
+// @route   GET /api/calendar/feeds
+// @desc    List the authenticated user's calendar feeds
+// @access  Private
+router.get('/feeds', authenticateToken, async (req, res) => {
+  try {
+    const feeds = await CalendarFeed.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('project', 'name');
+
+    res.json({
+      message: 'Calendar feeds retrieved successfully.',
+      count: feeds.length,
+      feeds: feeds.map(formatFeed)
+    });
+
+  } catch (error) {
+    console.error('Calendar feeds fetch error:', error);
+    res.status(500).json({
+      message: 'Server error fetching calendar feeds.'
+    });
+  }
+});
+
+// @route   DELETE /api/calendar/feeds/:id
+// @desc    Revoke a calendar feed so its URL stops working
+// @access  Private (feed owner only)
+router.delete('/feeds/:id', authenticateToken, async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!feed) {
+      return res.status(404).json({
+        message: 'Calendar feed not found.'
+      });
+    }
+
+    await feed.deleteOne();
+
+    res.json({
+      message: 'Calendar feed revoked successfully.'
+    });
+
+  } catch (error) {
+    console.error('Calendar feed revoke error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid calendar feed ID format.'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error revoking calendar feed.'
+    });
+  }
+});
+
+// @route   GET /api/calendar/feeds/:token.ics
+// @desc    Get an iCalendar feed of task due dates
+// @access  Public (secret token in the URL)
+router.get('/feeds/:token.ics', async (req, res) => {
+  try {
+    const notFound = () => res.status(404).json({ message: 'Calendar feed not found.' });
+
+    if (!/^[a-f0-9]{64}$/.test(req.params.token)) {
+      return notFound();
+    }
+
+    const feed = await CalendarFeed.findOne({ tokenHash: hashToken(req.params.token) });
+    if (!feed) {
+      return notFound();
+    }
+
+    // The feed owner's current access applies, so feeds of projects they
+    // have left (or that were deleted) stop returning tasks
+    let projects;
+    if (feed.project) {
+      const project = await Project.findById(feed.project).select('name user members workflow');
+      if (!project || !project.getRole(feed.user)) {
+        return notFound();
+      }
+      projects = [project];
+    } else {
+      projects = await Project.find(Project.accessFilter(feed.user, { includeArchived: false }))
+        .select('name workflow');
+    }
+
+    const projectsById = new Map(projects.map(project => [project._id.toString(), project]));
+    const tasks = await Task.find({
+      project: { $in: projects.map(project => project._id) },
+      dueDate: { $ne: null }
+    }).sort({ dueDate: 1 });
+
+    const events = tasks.map(task => {
+      const project = projectsById.get(task.project.toString());
+      return taskEvent(task, {
+        projectName: project.name,
+        isDone: project.isDoneStatus(task.status)
+      });
+    });
+
+    feed.lastAccessedAt = new Date();
+    await feed.save();
+
+    const calendarName = feed.project ? `${projects[0].name} tasks` : 'Pro-Tasker tasks';
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="tasks.ics"');
+    res.send(buildCalendar(calendarName, events));
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      message: 'Server error generating calendar feed.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const { verifyTaskAccess } = require('../../utils/auth');
+const { recordActivity } = require('../../utils/activity');
+
+// Mounted under /api/tasks/:taskId/checklist, so taskId comes from the parent router
+const router = express.Router({ mergeParams: true });
+
+// All checklist changes require the editor role
+router.use(verifyTaskAccess('editor'));
+
+// Plain copy of the checklist for activity diffs. Item ids are included so
+// reorders show up as changes.
+const checklistSnapshot = (task) => {
+  return task.checklist.map(item => ({ _id: item._id.toString(), text: item.text, done: item.done }));
+};
+
+// Save the task, log the checklist change as a task update (which also
+// notifies webhooks and live subscribers) and send the updated checklist
+const saveChecklist = async (req, res, before, message, status = 200) => {
+  const task = req.task;
+  const after = checklistSnapshot(task);
+
+  // Requests that leave the checklist as it was are neither saved nor logged
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    await task.save();
+    await recordActivity({
+      actor: req.user._id,
+      project: task.project,
+      task,
+      entityType: 'task',
+      entityId: task._id,
+      action: 'updated',
+      summary: task.title,
+      changes: [{ field: 'checklist', from: before, to: after }]
+    });
+  }
+
+  res.status(status).json({
+    message,
+    checklist: task.checklist,
+    progress: task.progress
+  });
+};
+
+// Shared error handler for checklist routes
+const handleError = (res, error, context) => {
+  console.error(`Checklist ${context} error:`, error);
+
+  // Handle validation errors
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error.',
+      errors
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error during checklist ${context}.`
+  });
+};
+
+// @route   POST /api/tasks/:taskId/checklist
+// @desc    Add an item to the end of a task's checklist
+// @access  Private (editor and above)
+router.post('/', async (req, res) => {
+  try {
+    const { text } = req.body;
+    const task = req.task;
+
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({
+        message: 'Please provide checklist item text.'
+      });
+    }
+
+    const before = checklistSnapshot(task);
+    task.checklist.push({ text: text.trim() });
+
+    await saveChecklist(req, res, before, 'Checklist item added successfully.', 201);
+
+  } catch (error) {
+    handleError(res, error, 'update');
+  }
+});
+
+// @route   PUT /api/tasks/:taskId/checklist/order
+// @desc    Reorder checklist items
+// @access  Private (editor and above)
+router.put('/order', async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+    const task = req.task;
+    const currentIds = task.checklist.map(item => item._id.toString());
+
+    // The new order must contain every existing item exactly once
+    const isPermutation = Array.isArray(itemIds)
+      && itemIds.length === currentIds.length
+      && new Set(itemIds).size === itemIds.length
+      && itemIds.every(id => currentIds.includes(String(id)));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        message: 'Please provide itemIds listing every checklist item exactly once.'
+      });
+    }
+
+    const before = checklistSnapshot(task);
+    const itemsById = new Map(task.checklist.map(item => [item._id.toString(), item.toObject()]));
+    task.checklist = itemIds.map(id => itemsById.get(String(id)));
+
+    await saveChecklist(req, res, before, 'Checklist reordered successfully.');
+
+  } catch (error) {
+    handleError(res, error, 'reorder');
+  }
+});
+
+// @route   PATCH /api/tasks/:taskId/checklist/:itemId
+// @desc    Update an item's text or done state (toggles done when no fields are given)
+// @access  Private (editor and above)
+router.patch('/:itemId', async (req, res) => {
+  try {
+    const { text, done } = req.body;
+    const task = req.task;
+    const item = task.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        message: 'Checklist item not found.'
+      });
+    }
+
+    if (text !== undefined && typeof text !== 'string') {
+      return res.status(400).json({
+        message: 'Text must be a string.'
+      });
+    }
+
+    if (done !== undefined && typeof done !== 'boolean') {
+      return res.status(400).json({
+        message: 'Done must be true or false.'
+      });
+    }
+
+    const before = checklistSnapshot(task);
+
+    if (text !== undefined) item.text = text.trim();
+
+    // With no fields given the item is toggled
+    const nextDone = done !== undefined ? done : (text === undefined ? !item.done : item.done);
+    if (nextDone !== item.done) {
+      item.done = nextDone;
+      item.completedAt = nextDone ? new Date() : null;
+    }
+
+    await saveChecklist(req, res, before, 'Checklist item updated successfully.');
+
+  } catch (error) {
+    handleError(res, error, 'update');
+  }
+});
+
+// @route   DELETE /api/tasks/:taskId/checklist/:itemId
+// @desc    Remove an item from a task's checklist
+// @access  Private (editor and above)
+router.delete('/:itemId', async (req, res) => {
+  try {
+    const task = req.task;
+    const item = task.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        message: 'Checklist item not found.'
+      });
+    }
+
+    const before = checklistSnapshot(task);
+    item.deleteOne();
+
+    await saveChecklist(req, res, before, 'Checklist item removed successfully.');
+
+  } catch (error) {
+    handleError(res, error, 'update');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,225 @@
+const express = require('express');
+const Comment = require('../../models/Comment');
+const { verifyTaskAccess } = require('../../utils/auth');
+const { recordActivity } = require('../../utils/activity');
+
+// Mounted under /api/tasks/:taskId/comments, so taskId comes from the parent router
+const router = express.Router({ mergeParams: true });
+
+// @route   GET /api/tasks/:taskId/comments
+// @desc    Get all comments on a task, oldest first
+// @access  Private (viewer and above)
+router.get('/', verifyTaskAccess('viewer'), async (req, res) => {
+  try {
+    const comments = await Comment.find({ task: req.task._id })
+      .sort({ createdAt: 1 })
+      .populate('author', 'username email');
+
+    res.json({
+      message: 'Comments retrieved successfully.',
+      count: comments.length,
+      comments
+    });
+
+  } catch (error) {
+    console.error('Comments fetch error:', error);
+    res.status(500).json({
+      message: 'Server error fetching comments.'
+    });
+  }
+});
+
+// @route   POST /api/tasks/:taskId/comments
+// @desc    Add a comment to a task
+// @access  Private (editor and above)
+router.post('/', verifyTaskAccess('editor'), async (req, res) => {
+  try {
+    const { body } = req.body;
+    const task = req.task;
+
+    // Validate required fields
+    if (!body || !body.trim()) {
+      return res.status(400).json({
+        message: 'Please provide a comment body.'
+      });
+    }
+
+    const comment = new Comment({
+      body: body.trim(),
+      task: task._id,
+      project: task.project._id,
+      author: req.user._id
+    });
+
+    await comment.save();
+
+    await recordActivity({
+      actor: req.user._id,
+      project: task.project,
+      task,
+      entityType: 'comment',
+      entityId: comment._id,
+      action: 'created',
+      summary: task.title,
+      changes: [{ field: 'body', from: null, to: comment.body }]
+    });
+
+    await comment.populate('author', 'username email');
+
+    res.status(201).json({
+      message: 'Comment added successfully.',
+      comment
+    });
+
+  } catch (error) {
+    console.error('Comment creation error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error.',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during comment creation.'
+    });
+  }
+});
+
+// @route   PUT /api/tasks/:taskId/comments/:commentId
+// @desc    Edit a comment, keeping its previous version in the history
+// @access  Private (comment author only)
+router.put('/:commentId', verifyTaskAccess('editor'), async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    if (!body || !body.trim()) {
+      return res.status(400).json({
+        message: 'Please provide a comment body.'
+      });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, task: req.task._id });
+
+    if (!comment) {
+      return res.status(404).json({
+        message: 'Comment not found.'
+      });
+    }
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        message: 'Access denied. You can only edit your own comments.'
+      });
+    }
+
+    // Only record a revision when the text actually changes
+    if (comment.body !== body.trim()) {
+      const previousBody = comment.body;
+      comment.edit(body.trim());
+      await comment.save();
+
+      await recordActivity({
+        actor: req.user._id,
+        project: req.task.project,
+        task: req.task,
+        entityType: 'comment',
+        entityId: comment._id,
+        action: 'updated',
+        summary: req.task.title,
+        changes: [{ field: 'body', from: previousBody, to: comment.body }]
+      });
+    }
+
+    await comment.populate('author', 'username email');
+
+    res.json({
+      message: 'Comment updated successfully.',
+      comment
+    });
+
+  } catch (error) {
+    console.error('Comment update error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error.',
+        errors
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid comment ID format.'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during comment update.'
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:taskId/comments/:commentId
+// @desc    Delete a comment
+// @access  Private (comment author or project owner)
+router.delete('/:commentId', verifyTaskAccess('editor'), async (req, res) => {
+  try {
+    const comment = await Comment.findOne({ _id: req.params.commentId, task: req.task._id });
+
+    if (!comment) {
+      return res.status(404).json({
+        message: 'Comment not found.'
+      });
+    }
+
+    const isAuthor = comment.author.toString() === req.user._id.toString();
+
+    if (!isAuthor && req.projectRole !== 'owner') {
+      return res.status(403).json({
+        message: 'Access denied. You can only delete your own comments.'
+      });
+    }
+
+    await comment.deleteOne();
+
+    await recordActivity({
+      actor: req.user._id,
+      project: req.task.project,
+      task: req.task,
+      entityType: 'comment',
+      entityId: comment._id,
+      action: 'deleted',
+      summary: req.task.title,
+      changes: [{ field: 'body', from: comment.body, to: null }]
+    });
+
+    res.json({
+      message: 'Comment deleted successfully.',
+      deletedComment: {
+        id: comment._id,
+        task: comment.task
+      }
+    });
+
+  } catch (error) {
+    console.error('Comment deletion error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid comment ID format.'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during comment deletion.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const Project = require('../../models/Project');
+const { authenticateToken } = require('../../utils/auth');
+const { parseIncludeArchived } = require('../../utils/queryParser');
+const { projectTaskStats, sumTaskStats } = require('../../utils/taskStats');
+
+const router = express.Router();
+
+// Apply authentication middleware to all dashboard routes
+router.use(authenticateToken);
+
+// @route   GET /api/dashboard
+// @desc    Get task statistics for each project the user can access, with totals
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    // Get all projects the user owns or is a member of (archived ones only on request)
+    const includeArchived = parseIncludeArchived(req.query);
+    const userProjects = await Project.find(Project.accessFilter(userId, { includeArchived }))
+      .select('name status user members workflow archivedAt')
+      .sort({ name: 1 });
+
+    // Break down every project's tasks in a single aggregation
+    const statsByProject = await projectTaskStats(userProjects);
+    const totals = sumTaskStats(statsByProject.values());
+
+    res.json({
+      message: 'Dashboard retrieved successfully.',
+      totals: {
+        projectCount: userProjects.length,
+        ...totals
+      },
+      projects: userProjects.map(project => ({
+        _id: project._id,
+        name: project.name,
+        status: project.status,
+        role: project.getRole(userId),
+        archivedAt: project.archivedAt,
+        stats: statsByProject.get(project._id.toString())
+      }))
+    });
+
+  } catch (error) {
+    console.error('Dashboard fetch error:', error);
+
+    if (error.name === 'QueryError') {
+      return res.status(400).json({
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error fetching dashboard.'
+    });
+  }
+});
+
+module.exports = router;
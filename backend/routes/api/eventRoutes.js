@@ -0,0 +1,167 @@
+const express = require('express');
+const Activity = require('../../models/Activity');
+const Project = require('../../models/Project');
+const {
+  authenticateStreamToken,
+  readAccessToken,
+  verifyAccessToken,
+  verifyProjectAccess
+} = require('../../utils/auth');
+const { EVENT_TYPES, activityEvent, subscribe } = require('../../utils/events');
+
+// Mounted under /api/projects/:id/events, so id comes from the parent router
+const router = express.Router({ mergeParams: true });
+
+const HEARTBEAT_MS = 25 * 1000; // Keeps proxies from closing idle streams; access is re-checked each time
+const RECONNECT_MS = 5 * 1000; // How long browsers wait before reconnecting
+const REPLAY_LIMIT = 100; // Most missed events replayed after a reconnect; beyond that clients resync
+
+// Events that may change who can read the project, so access is re-checked
+// as soon as they happen rather than at the next heartbeat
+const ACCESS_EVENTS = ['member.updated', 'member.removed', 'project.deleted', 'project.purged'];
+
+// Format an event as a Server-Sent Events message. The id lets clients resume
+// after a reconnect through Last-Event-ID.
+const formatEvent = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+// Check that the stream's token and the user's project membership are still valid.
+// Returns null when the stream may continue, or the reason for closing it.
+const checkStreamAccess = async (token, projectId) => {
+  const { user, error } = await verifyAccessToken(token);
+  if (error) {
+    return error;
+  }
+
+  const project = await Project.findById(projectId);
+  if (!project || !project.getRole(user._id)) {
+    return 'Access denied. You are no longer a member of this project.';
+  }
+
+  return null;
+};
+
+// @route   GET /api/projects/:id/events
+// @desc    Stream the project's events as they happen (Server-Sent Events)
+// @access  Private (viewer or higher); the token may be sent as ?access_token=
+router.get('/', authenticateStreamToken, verifyProjectAccess('viewer'), async (req, res) => {
+  const requested = req.query.events ? String(req.query.events).split(',').map(type => type.trim()) : [];
+  const invalid = requested.filter(type => !EVENT_TYPES.includes(type));
+
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      message: `Invalid event type: ${invalid.join(', ')}. Must be one of: ${EVENT_TYPES.join(', ')}`
+    });
+  }
+
+  const token = readAccessToken(req, { allowQuery: true });
+  const projectId = req.resource._id.toString();
+  const lastEventId = String(req.get('Last-Event-ID') || req.query.lastEventId || '').toLowerCase();
+
+  const wants = (event) => requested.length === 0 || event.types.some(type => requested.includes(type));
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  let closed = false;
+  let replaying = /^[0-9a-f]{24}$/.test(lastEventId);
+  const queued = [];
+
+  const send = (event) => {
+    if (closed || !wants(event)) return;
+    res.write(formatEvent(event));
+  };
+
+  const cleanup = () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  // Tell the client why the stream ends; it should reconnect with a fresh
+  // token if it still has access
+  const close = (reason) => {
+    if (closed) return;
+    res.write(`event: close\ndata: ${JSON.stringify({ message: reason })}\n\n`);
+    res.end();
+    cleanup();
+  };
+
+  // Tell the client that missed events cannot be replayed, so it must
+  // reload the project; live events continue after this
+  const resync = (reason) => {
+    if (closed) return;
+    res.write(`event: resync\ndata: ${JSON.stringify({ message: reason })}\n\n`);
+  };
+
+  const recheck = async () => {
+    try {
+      const reason = await checkStreamAccess(token, projectId);
+      if (reason) close(reason);
+    } catch (error) {
+      console.error('Event stream access check error:', error);
+    }
+  };
+
+  // Subscribe before replaying so nothing published meanwhile is lost
+  const unsubscribe = subscribe(event => {
+    if (event.project !== projectId) return;
+
+    if (replaying) {
+      queued.push(event);
+    } else {
+      send(event);
+    }
+
+    if (ACCESS_EVENTS.includes(event.type)) {
+      recheck();
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    if (closed) return;
+    res.write(': heartbeat\n\n');
+    recheck();
+  }, HEARTBEAT_MS);
+
+  req.on('close', cleanup);
+
+  // Send the events missed since the client's last event, oldest first
+  if (replaying) {
+    // Event ids are activity ids, so they sort in publishing order
+    let replayedUpTo = lastEventId;
+
+    try {
+      // Fetch one extra entry to know whether more were missed than can be replayed
+      const missed = await Activity.find({ project: projectId, _id: { $gt: lastEventId } })
+        .sort({ _id: 1 })
+        .limit(REPLAY_LIMIT + 1);
+
+      if (missed.length > REPLAY_LIMIT) {
+        // Too far behind: the client must reload the project, then follow
+        // the live events from here
+        resync('Too many events were missed. Reload the project.');
+        replayedUpTo = '';
+      } else {
+        missed.forEach(activity => send(activityEvent(activity)));
+        if (missed.length > 0) {
+          replayedUpTo = missed[missed.length - 1]._id.toString();
+        }
+      }
+    } catch (error) {
+      console.error('Event stream replay error:', error);
+      resync('Missed events could not be replayed. Reload the project.');
+      replayedUpTo = '';
+    }
+
+    replaying = false;
+    queued.filter(event => event.id > replayedUpTo).forEach(send);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const Notification = require('../../models/Notification');
+const { authenticateToken } = require('../../utils/auth');
+const { parsePagination, paginationQuery, paginateResults } = require('../../utils/pagination');
+
+const router = express.Router();
+
+// Apply authentication middleware to all notification routes
+router.use(authenticateToken);
+
+// @route   GET /api/notifications
+// @desc    Get the user's notifications, newest first
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { unread } = req.query;
+
+    if (unread !== undefined && !['true', 'false'].includes(unread)) {
+      return res.status(400).json({
+        message: 'unread must be true or false.'
+      });
+    }
+
+    const userId = req.user._id;
+    const sortSpec = [['_id', -1]];
+    const page = parsePagination(req.query);
+    const query = paginationQuery(
+      { user: userId, ...(unread === 'true' && { readAt: null }) },
+      sortSpec,
+      page.cursor
+    );
+
+    // Fetch one extra notification to know whether another page exists
+    const docs = await Notification.find(query.filter)
+      .sort(query.sort)
+      .limit(page.limit + 1)
+      .populate('project', 'name')
+      .populate('task', 'title status dueDate');
+    const { items: notifications, nextCursor } = paginateResults(docs, page.limit, sortSpec);
+
+    const unreadCount = await Notification.countDocuments({ user: userId, readAt: null });
+
+    res.json({
+      message: 'Notifications retrieved successfully.',
+      unreadCount,
+      count: notifications.length,
+      nextCursor,
+      notifications
+    });
+
+  } catch (error) {
+    console.error('Notifications fetch error:', error);
+
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error fetching notifications.'
+    });
+  }
+});
+
+// @route   POST /api/notifications/read-all
+// @desc    Mark all of the user's notifications as read
+// @access  Private
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      message: 'All notifications marked as read.',
+      markedCount: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      message: 'Server error marking notifications as read.'
+    });
+  }
+});
+
+// @route   POST /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.post('/:id/read', async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        message: 'Notification not found.'
+      });
+    }
+
+    // Keep the time it was first read
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      message: 'Notification marked as read.',
+      notification
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid notification ID format.'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error marking notification as read.'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,44 +1,147 @@
 const express = require('express');
 const Project = require('../../models/Project');
 const Task = require('../../models/Task');
-const { authenticateToken, verifyOwnership } = require('../../utils/auth');
+const User = require('../../models/User');
+const ProjectTemplate = require('../../models/ProjectTemplate');
+const StatusTransition = require('../../models/StatusTransition');
+const { authenticateToken, verifyProjectAccess } = require('../../utils/auth');
+const { resolveAssignees } = require('../../utils/assignees');
+const {
+  PROJECT_FIELDS,
+  TASK_FIELDS,
+  snapshot,
+  diffSnapshots,
+  recordActivity,
+  recordActivities,
+  listActivity
+} = require('../../utils/activity');
+const { parsePagination, paginationQuery, paginateResults } = require('../../utils/pagination');
+const { PROJECT_QUERY, taskQuerySpec, parseIncludeArchived, parseListQuery } = require('../../utils/queryParser');
+const { captureTasks, instantiateTasks, uniqueProjectName } = require('../../utils/projectCopy');
+const { projectTaskStats } = require('../../utils/taskStats');
+const { EXPORT_FORMATS, streamProjectExport } = require('../../utils/taskExport');
+const {
+  IMPORT_FORMATS,
+  IMPORT_FIELDS,
+  MAPPING_PRESETS,
+  parseImportRecords,
+  buildImportTasks
+} = require('../../utils/taskImport');
+const reportRoutes = require('./reportRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const eventRoutes = require('./eventRoutes');
 
 const router = express.Router();
 
+// Event stream subresource: /api/projects/:id/events. Mounted before the
+// authentication below because EventSource clients send the token in the query.
+router.use('/:id/events', eventRoutes);
+
 // Apply authentication middleware to all project routes
 router.use(authenticateToken);
 
+// Reports subresource: /api/projects/:id/reports
+router.use('/:id/reports', reportRoutes);
+
+// Webhooks subresource: /api/projects/:id/webhooks
+router.use('/:id/webhooks', webhookRoutes);
+
 // @route   POST /api/projects
-// @desc    Create a new project
+// @desc    Create a new project, optionally from a template or by cloning a project
 // @access  Private
 router.post('/', async (req, res) => {
   try {
-    const { name, description, status } = req.body;
+    const { name, description, status, templateId, cloneFrom, startDate } = req.body;
 
-    // Validate required fields
-    if (!name || !description) {
+    if (templateId && cloneFrom) {
+      return res.status(400).json({
+        message: 'Please provide either templateId or cloneFrom, not both.'
+      });
+    }
+
+    // Load the template or project whose workflow and tasks are copied
+    let source = null;
+    if (templateId) {
+      const template = await ProjectTemplate.findOne({ _id: templateId, user: req.user._id });
+      if (!template) {
+        return res.status(404).json({
+          message: 'Template not found.'
+        });
+      }
+      source = template;
+    } else if (cloneFrom) {
+      const sourceProject = await Project.findOne({ _id: cloneFrom, ...Project.accessFilter(req.user._id) });
+      if (!sourceProject) {
+        return res.status(404).json({
+          message: 'Project to clone not found.'
+        });
+      }
+      source = {
+        name: sourceProject.name,
+        description: sourceProject.description,
+        workflow: sourceProject.workflow,
+        tasks: await captureTasks(sourceProject)
+      };
+    }
+
+    // Validate required fields (copies fall back to the source's values)
+    if (!source && (!name || !description)) {
       return res.status(400).json({
         message: 'Please provide project name and description.'
       });
     }
 
+    // Due dates of copied tasks are shifted relative to the start date
+    const start = startDate ? new Date(startDate) : new Date();
+    if (Number.isNaN(start.getTime())) {
+      return res.status(400).json({
+        message: 'Invalid startDate.'
+      });
+    }
+
     // Create new project with authenticated user as owner
     const project = new Project({
-      name: name.trim(),
-      description: description.trim(),
+      name: name ? name.trim() : await uniqueProjectName(req.user._id, source.name),
+      description: description ? description.trim() : source.description,
       status: status || 'Active',
-      user: req.user._id // Set owner from authenticated user
+      user: req.user._id, // Set owner from authenticated user
+      ...(source && { workflow: source.workflow.toObject() })
     });
 
     // Save project to database
     await project.save();
 
+    let copied = null;
+    if (source) {
+      try {
+        copied = await instantiateTasks(project, source.tasks, start);
+      } catch (error) {
+        // Don't leave a half-copied project behind
+        await project.deleteOne();
+        throw error;
+      }
+    }
+
+    await recordActivity({
+      actor: req.user._id,
+      project,
+      entityType: 'project',
+      entityId: project._id,
+      action: 'created',
+      summary: project.name,
+      changes: diffSnapshots({}, snapshot(project, PROJECT_FIELDS))
+    });
+
     // Populate user details for response
     await project.populate('user', 'username email');
 
     res.status(201).json({
       message: 'Project created successfully.',
-      project
+      project,
+      ...(copied && {
+        tasksCreated: copied.tasks.length,
+        warnings: copied.warnings
+      })
     });
 
   } catch (error) {
@@ -53,10 +156,23 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Handle duplicate project name for user
+    // Handle duplicate project name for user (trashed projects keep their names)
     if (error.code === 11000) {
+      const trashed = await Project.exists({
+        user: req.user._id,
+        name: error.keyValue && error.keyValue.name,
+        deletedAt: { $ne: null }
+      }).catch(() => null);
       return res.status(400).json({
-        message: 'You already have a project with this name.'
+        message: trashed
+          ? 'A project with this name is in your trash. Restore or purge it, or choose another name.'
+          : 'You already have a project with this name.'
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid template or project ID format.'
       });
     }
 
@@ -67,49 +183,67 @@ router.post('/', async (req, res) => {
 });
 
 // @route   GET /api/projects
-// @desc    Get all projects for authenticated user
+// @desc    Get all projects the authenticated user owns or is a member of
 // @access  Private
 router.get('/', async (req, res) => {
   try {
-    // Get query parameters for filtering and sorting
-    const { status, sort = 'createdAt', order = 'desc' } = req.query;
-    
-    // Build query for user's projects
-    const query = { user: req.user._id };
-    
-    // Add status filter if provided
-    if (status) {
-      query.status = status;
-    }
-
-    // Build sort object
-    const sortObj = {};
-    sortObj[sort] = order === 'asc' ? 1 : -1;
-
-    // Find projects with optional filtering and sorting
-    const projects = await Project.find(query)
-      .sort(sortObj)
-      .populate('user', 'username email');
-
-    // Count tasks for each project
-    const projectsWithTaskCount = await Promise.all(
-      projects.map(async (project) => {
-        const taskCount = await Task.countDocuments({ project: project._id });
-        return {
-          ...project.toObject(),
-          taskCount
-        };
-      })
-    );
+    // Parse and validate filtering and sorting query parameters
+    const { filter, sort: sortSpec } = parseListQuery(req.query, PROJECT_QUERY);
+
+    // Build query for projects shared with the user (archived ones only on request)
+    const includeArchived = parseIncludeArchived(req.query);
+    const query = { ...Project.accessFilter(req.user._id, { includeArchived }), ...filter };
+
+    // Apply the cursor position
+    const page = parsePagination(req.query);
+    const pageQuery = paginationQuery(query, sortSpec, page.cursor);
+
+    // Find one page of projects (plus one to detect a next page)
+    const [docs, total] = await Promise.all([
+      Project.find(pageQuery.filter)
+        .sort(pageQuery.sort)
+        .limit(page.limit + 1)
+        .populate('user', 'username email'),
+      Project.countDocuments(query)
+    ]);
+    const { items: projects, nextCursor } = paginateResults(docs, page.limit, sortSpec);
+
+    // Count tasks for the whole page in a single aggregation
+    const statsByProject = await projectTaskStats(projects);
+    const projectsWithTaskCount = projects.map(project => {
+      const stats = statsByProject.get(project._id.toString());
+      return {
+        ...project.toObject(),
+        role: project.getRole(req.user._id),
+        taskCount: stats.totalTasks,
+        completionRate: stats.completionRate
+      };
+    });
 
     res.json({
       message: 'Projects retrieved successfully.',
       count: projectsWithTaskCount.length,
+      total,
+      nextCursor,
       projects: projectsWithTaskCount
     });
 
   } catch (error) {
     console.error('Projects fetch error:', error);
+
+    if (error.name === 'QueryError') {
+      return res.status(400).json({
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       message: 'Server error fetching projects.'
     });
@@ -118,14 +252,17 @@ router.get('/', async (req, res) => {
 
 // @route   GET /api/projects/:id
 // @desc    Get a single project by ID
-// @access  Private (owner only)
-router.get('/:id', verifyOwnership(Project), async (req, res) => {
+// @access  Private (viewer and above)
+router.get('/:id', verifyProjectAccess('viewer'), async (req, res) => {
   try {
     // Project is already verified and available from middleware
     const project = req.resource;
 
-    // Populate user details
-    await project.populate('user', 'username email');
+    // Populate owner and member details
+    await project.populate([
+      { path: 'user', select: 'username email' },
+      { path: 'members.user', select: 'username email' }
+    ]);
 
     // Get task count and recent tasks
     const taskCount = await Task.countDocuments({ project: project._id });
@@ -138,6 +275,7 @@ router.get('/:id', verifyOwnership(Project), async (req, res) => {
       message: 'Project retrieved successfully.',
       project: {
         ...project.toObject(),
+        role: req.projectRole,
         taskCount,
         recentTasks
       }
@@ -153,11 +291,12 @@ router.get('/:id', verifyOwnership(Project), async (req, res) => {
 
 // @route   PUT /api/projects/:id
 // @desc    Update a project
-// @access  Private (owner only)
-router.put('/:id', verifyOwnership(Project), async (req, res) => {
+// @access  Private (editor and above)
+router.put('/:id', verifyProjectAccess('editor'), async (req, res) => {
   try {
     const { name, description, status } = req.body;
     const project = req.resource;
+    const before = snapshot(project, PROJECT_FIELDS);
 
     // Update fields if provided
     if (name !== undefined) project.name = name.trim();
@@ -167,6 +306,19 @@ router.put('/:id', verifyOwnership(Project), async (req, res) => {
     // Save updated project
     await project.save();
 
+    const changes = diffSnapshots(before, snapshot(project, PROJECT_FIELDS));
+    if (changes.length > 0) {
+      await recordActivity({
+        actor: req.user._id,
+        project,
+        entityType: 'project',
+        entityId: project._id,
+        action: 'updated',
+        summary: project.name,
+        changes
+      });
+    }
+
     // Populate user details for response
     await project.populate('user', 'username email');
 
@@ -201,27 +353,32 @@ router.put('/:id', verifyOwnership(Project), async (req, res) => {
 });
 
 // @route   DELETE /api/projects/:id
-// @desc    Delete a project and all its tasks
+// @desc    Move a project and all its tasks to the trash
 // @access  Private (owner only)
-router.delete('/:id', verifyOwnership(Project), async (req, res) => {
+router.delete('/:id', verifyProjectAccess('owner', 'id', { allowArchived: true }), async (req, res) => {
   try {
     const project = req.resource;
 
-    // Count tasks that will be deleted
-    const taskCount = await Task.countDocuments({ project: project._id });
+    // Trash the project with its tasks; they can be restored until purged
+    const { trashedTasksCount } = await project.moveToTrash(req.user._id);
 
-    // Delete all tasks associated with this project
-    await Task.deleteMany({ project: project._id });
-
-    // Delete the project
-    await Project.deleteOne({ _id: project._id });
+    await recordActivity({
+      actor: req.user._id,
+      project,
+      entityType: 'project',
+      entityId: project._id,
+      action: 'deleted',
+      summary: project.name,
+      changes: diffSnapshots(snapshot(project, PROJECT_FIELDS), {})
+    });
 
     res.json({
-      message: 'Project and associated tasks deleted successfully.',
+      message: 'Project and associated tasks moved to trash.',
       deletedProject: {
         id: project._id,
         name: project.name,
-        deletedTasksCount: taskCount
+        deletedTasksCount: trashedTasksCount,
+        deletedAt: project.deletedAt
       }
     });
 
@@ -233,41 +390,744 @@ router.delete('/:id', verifyOwnership(Project), async (req, res) => {
   }
 });
 
+// @route   POST /api/projects/:id/archive
+// @desc    Archive a project, making it read-only and hiding it from default lists
+// @access  Private (owner only)
+router.post('/:id/archive', verifyProjectAccess('owner', 'id', { allowArchived: true }), async (req, res) => {
+  try {
+    const project = req.resource;
+
+    if (project.archivedAt) {
+      return res.status(400).json({
+        message: 'Project is already archived.'
+      });
+    }
+
+    project.archivedAt = new Date();
+    project.archivedBy = req.user._id;
+    await project.save();
+
+    await recordActivity({
+      actor: req.user._id,
+      project,
+      entityType: 'project',
+      entityId: project._id,
+      action: 'archived',
+      summary: project.name
+    });
+
+    res.json({
+      message: 'Project archived successfully.',
+      project: {
+        id: project._id,
+        name: project.name,
+        archivedAt: project.archivedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Project archive error:', error);
+    res.status(500).json({
+      message: 'Server error during project archive.'
+    });
+  }
+});
+
+// @route   POST /api/projects/:id/unarchive
+// @desc    Unarchive a project so it can be changed again
+// @access  Private (owner only)
+router.post('/:id/unarchive', verifyProjectAccess('owner', 'id', { allowArchived: true }), async (req, res) => {
+  try {
+    const project = req.resource;
+
+    if (!project.archivedAt) {
+      return res.status(400).json({
+        message: 'Project is not archived.'
+      });
+    }
+
+    project.archivedAt = null;
+    project.archivedBy = null;
+    await project.save();
+
+    await recordActivity({
+      actor: req.user._id,
+      project,
+      entityType: 'project',
+      entityId: project._id,
+      action: 'unarchived',
+      summary: project.name
+    });
+
+    res.json({
+      message: 'Project unarchived successfully.',
+      project: {
+        id: project._id,
+        name: project.name,
+        archivedAt: project.archivedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Project unarchive error:', error);
+    res.status(500).json({
+      message: 'Server error during project unarchive.'
+    });
+  }
+});
+
+// @route   GET /api/projects/:id/workflow
+// @desc    Get a project's task statuses and allowed transitions
+// @access  Private (viewer and above)
+router.get('/:id/workflow', verifyProjectAccess('viewer'), async (req, res) => {
+  try {
+    res.json({
+      message: 'Project workflow retrieved successfully.',
+      workflow: req.resource.workflow
+    });
+
+  } catch (error) {
+    console.error('Project workflow fetch error:', error);
+    res.status(500).json({
+      message: 'Server error fetching project workflow.'
+    });
+  }
+});
+
+// @route   PUT /api/projects/:id/workflow
+// @desc    Replace a project's task statuses and allowed transitions
+// @access  Private (owner only)
+router.put('/:id/workflow', verifyProjectAccess('owner'), async (req, res) => {
+  try {
+    const { statuses, transitions = [], remap = {} } = req.body;
+    const project = req.resource;
+
+    if (!Array.isArray(statuses) || !Array.isArray(transitions) || typeof remap !== 'object' || remap === null) {
+      return res.status(400).json({
+        message: 'Please provide statuses and transitions as arrays and remap as an object.'
+      });
+    }
+
+    // Statuses may be given as names or { name, isDone } objects
+    const nextStatuses = statuses.map(status => (
+      typeof status === 'string'
+        ? { name: status.trim(), isDone: false }
+        : { name: String((status && status.name) || '').trim(), isDone: Boolean(status && status.isDone) }
+    ));
+    const names = nextStatuses.map(status => status.name);
+
+    // Transitions and remap targets must reference statuses in the new workflow
+    const errors = [];
+    transitions.forEach(transition => {
+      if (!transition || !names.includes(transition.from) || !names.includes(transition.to)) {
+        errors.push(`Invalid transition ${JSON.stringify(transition)}. Both "from" and "to" must be workflow statuses.`);
+      }
+    });
+    Object.entries(remap).forEach(([from, to]) => {
+      if (!names.includes(to)) {
+        errors.push(`Cannot remap "${from}" to "${to}" because it is not a workflow status.`);
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation error.',
+        errors
+      });
+    }
+
+    // Tasks in statuses that are being removed must be moved somewhere,
+    // including tasks in the trash so they can be restored into the workflow
+    const removedStatuses = project.statusNames().filter(name => !names.includes(name));
+    const affected = await Task.aggregate([
+      { $match: { project: project._id, status: { $in: removedStatuses } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]).option({ withDeleted: true });
+    const unmapped = affected.filter(group => !remap[group._id]);
+
+    if (unmapped.length > 0) {
+      return res.status(409).json({
+        message: 'Some tasks use statuses that are being removed. Provide a remap from each of them to a new status.',
+        tasksByStatus: unmapped.reduce((acc, group) => {
+          acc[group._id] = group.count;
+          return acc;
+        }, {})
+      });
+    }
+
+    const before = project.workflow.toObject();
+    const previousDoneStatuses = project.doneStatuses();
+    project.workflow = {
+      statuses: nextStatuses,
+      transitions: transitions.map(({ from, to }) => ({ from, to }))
+    };
+    await project.save();
+
+    // Tasks moved out of removed statuses, or whose status now counts as
+    // done (or no longer does), get an entry in their status history
+    const redefinedStatuses = names.filter(name => (
+      previousDoneStatuses.includes(name) !== project.isDoneStatus(name)
+    ));
+    const changedTasks = await Task.find({
+      project: project._id,
+      status: { $in: [...affected.map(group => group._id), ...redefinedStatuses] }
+    }).select('title status deletedAt').setOptions({ withDeleted: true });
+
+    // Move tasks out of removed statuses
+    await Promise.all(affected.map(group => Task.updateMany(
+      { project: project._id, status: group._id },
+      { $set: { status: remap[group._id] } }
+    )));
+
+    await StatusTransition.recordChanges(changedTasks.map(task => ({
+      task: task._id,
+      project: project._id,
+      from: task.status,
+      to: removedStatuses.includes(task.status) ? remap[task.status] : task.status
+    })));
+
+    await recordActivity({
+      actor: req.user._id,
+      project,
+      entityType: 'project',
+      entityId: project._id,
+      action: 'updated',
+      summary: project.name,
+      changes: [{ field: 'workflow', from: before, to: project.workflow.toObject() }]
+    });
+
+    // Log each remapped task's status change (tasks in the trash excepted),
+    // so webhooks and live subscribers get a task.status_changed event per task
+    await recordActivities(changedTasks
+      .filter(task => removedStatuses.includes(task.status) && !task.deletedAt)
+      .map(task => ({
+        actor: req.user._id,
+        project,
+        task,
+        entityType: 'task',
+        entityId: task._id,
+        action: 'status_changed',
+        summary: task.title,
+        changes: [{ field: 'status', from: task.status, to: remap[task.status] }]
+      })));
+
+    res.json({
+      message: 'Project workflow updated successfully.',
+      workflow: project.workflow,
+      remappedTasks: affected.reduce((sum, group) => sum + group.count, 0)
+    });
+
+  } catch (error) {
+    console.error('Project workflow update error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error.',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during project workflow update.'
+    });
+  }
+});
+
+// @route   GET /api/projects/:id/export
+// @desc    Download a project with all its tasks as CSV or JSON
+// @access  Private (viewer and above)
+router.get('/:id/export', verifyProjectAccess('viewer'), async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        message: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    await streamProjectExport(res, req.resource, format);
+
+  } catch (error) {
+    console.error('Project export error:', error);
+
+    // Once the download has started, cutting it short is the only way to
+    // tell the client it is incomplete
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      message: 'Server error during project export.'
+    });
+  }
+});
+
+// @route   POST /api/projects/:id/import
+// @desc    Import tasks from CSV or JSON, or check them without importing (dryRun=true)
+// @access  Private (editor and above)
+router.post('/:id/import', verifyProjectAccess('editor'), async (req, res) => {
+  try {
+    const project = req.resource;
+    const {
+      format = req.is('text/csv') ? 'csv' : 'json',
+      dryRun = 'false',
+      preset,
+      mapping = {},
+      statusMap = {}
+    } = req.query;
+
+    // Validate import options
+    const errors = [];
+    if (!IMPORT_FORMATS.includes(format)) {
+      errors.push(`Invalid format. Must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+    if (!['true', 'false'].includes(dryRun)) {
+      errors.push('Invalid dryRun. Must be true or false.');
+    }
+    if (preset !== undefined && !Object.keys(MAPPING_PRESETS).includes(preset)) {
+      errors.push(`Invalid preset. Must be one of: ${Object.keys(MAPPING_PRESETS).join(', ')}`);
+    }
+    const isStringMap = (value) => value && typeof value === 'object'
+      && Object.values(value).every(item => typeof item === 'string');
+    if (!isStringMap(mapping) || Object.keys(mapping).some(field => !IMPORT_FIELDS.includes(field))) {
+      errors.push(`Invalid mapping. Map task fields (${IMPORT_FIELDS.join(', ')}) to column names, e.g. mapping[title]=Summary.`);
+    }
+    if (!isStringMap(statusMap)) {
+      errors.push('Invalid statusMap. Map imported statuses to workflow statuses, e.g. statusMap[Doing]=In Progress.');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Invalid query parameters.',
+        errors
+      });
+    }
+
+    const parsed = parseImportRecords(req.body, { format, preset, mapping });
+    if (parsed.error) {
+      return res.status(parsed.error.status).json(parsed.error.body);
+    }
+
+    // Check every row before anything is written
+    const { tasks, rowErrors } = await buildImportTasks(project, parsed.records, { preset, statusMap });
+
+    if (dryRun === 'true') {
+      return res.json({
+        message: rowErrors.length > 0
+          ? `Dry run found problems in ${rowErrors.length} row(s). Nothing was imported.`
+          : `Dry run passed. ${tasks.length} task(s) are ready to import.`,
+        dryRun: true,
+        validCount: tasks.length,
+        invalidCount: rowErrors.length,
+        rowErrors
+      });
+    }
+
+    // Import all rows or none of them
+    if (rowErrors.length > 0) {
+      return res.status(400).json({
+        message: `Validation error in ${rowErrors.length} row(s). Nothing was imported.`,
+        rowErrors
+      });
+    }
+
+    await Task.insertMany(tasks);
+
+    await recordActivity({
+      actor: req.user._id,
+      project,
+      entityType: 'project',
+      entityId: project._id,
+      action: 'imported',
+      summary: project.name,
+      changes: [{ field: 'tasks', from: null, to: tasks.length }]
+    });
+
+    // Log each imported task like a created one, so webhooks and live
+    // subscribers get a task.created event per task
+    await recordActivities(tasks.map(task => ({
+      actor: req.user._id,
+      project,
+      task,
+      entityType: 'task',
+      entityId: task._id,
+      action: 'created',
+      summary: task.title,
+      changes: diffSnapshots({}, snapshot(task, TASK_FIELDS))
+    })));
+
+    res.status(201).json({
+      message: `${tasks.length} task(s) imported successfully.`,
+      importedCount: tasks.length,
+      tasks: tasks.map(task => ({
+        _id: task._id,
+        title: task.title,
+        status: task.status,
+        parent: task.parent
+      }))
+    });
+
+  } catch (error) {
+    console.error('Project import error:', error);
+    res.status(500).json({
+      message: 'Server error during project import.'
+    });
+  }
+});
+
+// @route   GET /api/projects/:id/activity
+// @desc    Get the activity log for a project, newest first
+// @access  Private (viewer and above)
+router.get('/:id/activity', verifyProjectAccess('viewer'), async (req, res) => {
+  try {
+    const { limit, cursor } = req.query;
+
+    const { activity, nextCursor } = await listActivity(
+      { project: req.resource._id },
+      { limit, cursor }
+    );
+
+    res.json({
+      message: 'Project activity retrieved successfully.',
+      count: activity.length,
+      nextCursor,
+      activity
+    });
+
+  } catch (error) {
+    console.error('Project activity fetch error:', error);
+
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error fetching project activity.'
+    });
+  }
+});
+
+// Helper to format a project's owner and members for responses
+const formatMembers = (project) => {
+  const owner = {
+    user: project.user,
+    role: 'owner',
+    isCreator: true
+  };
+
+  return [owner, ...project.members.map(member => ({
+    user: member.user,
+    role: member.role,
+    addedAt: member.addedAt
+  }))];
+};
+
+// @route   GET /api/projects/:id/members
+// @desc    List the owner and members of a project
+// @access  Private (viewer and above)
+router.get('/:id/members', verifyProjectAccess('viewer'), async (req, res) => {
+  try {
+    const project = req.resource;
+
+    await project.populate([
+      { path: 'user', select: 'username email' },
+      { path: 'members.user', select: 'username email' }
+    ]);
+
+    const members = formatMembers(project);
+
+    res.json({
+      message: 'Project members retrieved successfully.',
+      count: members.length,
+      members
+    });
+
+  } catch (error) {
+    console.error('Project members fetch error:', error);
+    res.status(500).json({
+      message: 'Server error fetching project members.'
+    });
+  }
+});
+
+// @route   POST /api/projects/:id/members
+// @desc    Invite a user to a project by email with a role
+// @access  Private (owner only)
+router.post('/:id/members', verifyProjectAccess('owner'), async (req, res) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+    const project = req.resource;
+
+    // Validate required fields
+    if (!email) {
+      return res.status(400).json({
+        message: 'Please provide the email of the user to invite.'
+      });
+    }
+
+    if (!Project.ROLES.includes(role)) {
+      return res.status(400).json({
+        message: `Invalid role. Must be one of: ${Project.ROLES.join(', ')}`
+      });
+    }
+
+    // Find the invited user
+    const invitee = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (!invitee) {
+      return res.status(404).json({
+        message: 'No user found with this email.'
+      });
+    }
+
+    if (project.getRole(invitee._id)) {
+      return res.status(400).json({
+        message: 'This user is already a member of the project.'
+      });
+    }
+
+    // Add the member and save
+    project.members.push({ user: invitee._id, role });
+    await project.save();
+
+    await recordActivity({
+      actor: req.user._id,
+      project,
+      entityType: 'member',
+      entityId: invitee._id,
+      action: 'member_added',
+      summary: invitee.username,
+      changes: [{ field: 'role', from: null, to: role }]
+    });
+
+    await project.populate([
+      { path: 'user', select: 'username email' },
+      { path: 'members.user', select: 'username email' }
+    ]);
+
+    res.status(201).json({
+      message: 'Member added successfully.',
+      members: formatMembers(project)
+    });
+
+  } catch (error) {
+    console.error('Project member invite error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error.',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error adding project member.'
+    });
+  }
+});
+
+// @route   PUT /api/projects/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private (owner only)
+router.put('/:id/members/:userId', verifyProjectAccess('owner'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const project = req.resource;
+    const memberId = req.params.userId;
+
+    if (!role || !Project.ROLES.includes(role)) {
+      return res.status(400).json({
+        message: `Invalid role. Must be one of: ${Project.ROLES.join(', ')}`
+      });
+    }
+
+    // The creator's ownership cannot be changed
+    if (project.user.toString() === memberId) {
+      return res.status(400).json({
+        message: 'The project creator\'s role cannot be changed.'
+      });
+    }
+
+    const member = project.members.find(m => m.user.toString() === memberId);
+
+    if (!member) {
+      return res.status(404).json({
+        message: 'Member not found in this project.'
+      });
+    }
+
+    // Update the role and save
+    const previousRole = member.role;
+    member.role = role;
+    await project.save();
+
+    if (previousRole !== role) {
+      await recordActivity({
+        actor: req.user._id,
+        project,
+        entityType: 'member',
+        entityId: member.user,
+        action: 'member_updated',
+        changes: [{ field: 'role', from: previousRole, to: role }]
+      });
+    }
+
+    await project.populate([
+      { path: 'user', select: 'username email' },
+      { path: 'members.user', select: 'username email' }
+    ]);
+
+    res.json({
+      message: 'Member role updated successfully.',
+      members: formatMembers(project)
+    });
+
+  } catch (error) {
+    console.error('Project member update error:', error);
+    res.status(500).json({
+      message: 'Server error updating project member.'
+    });
+  }
+});
+
+// @route   DELETE /api/projects/:id/members/:userId
+// @desc    Remove a member from a project (members may remove themselves)
+// @access  Private (owner, or the member themself)
+router.delete('/:id/members/:userId', verifyProjectAccess('viewer'), async (req, res) => {
+  try {
+    const project = req.resource;
+    const memberId = req.params.userId;
+    const isSelf = req.user._id.toString() === memberId;
+
+    if (!isSelf && req.projectRole !== 'owner') {
+      return res.status(403).json({
+        message: 'Access denied. This action requires the owner role.'
+      });
+    }
+
+    // The creator cannot be removed from their own project
+    if (project.user.toString() === memberId) {
+      return res.status(400).json({
+        message: 'The project creator cannot be removed.'
+      });
+    }
+
+    const removed = project.members.find(m => m.user.toString() === memberId);
+
+    if (!removed) {
+      return res.status(404).json({
+        message: 'Member not found in this project.'
+      });
+    }
+
+    project.members = project.members.filter(m => m.user.toString() !== memberId);
+
+    await project.save();
+
+    // Former members can no longer be assigned to the project's tasks
+    await Task.updateMany(
+      { project: project._id },
+      { $pull: { assignees: memberId } }
+    );
+
+    await recordActivity({
+      actor: req.user._id,
+      project,
+      entityType: 'member',
+      entityId: removed.user,
+      action: 'member_removed',
+      changes: [{ field: 'role', from: removed.role, to: null }]
+    });
+
+    res.json({
+      message: isSelf ? 'You have left the project.' : 'Member removed successfully.',
+      removedMember: {
+        user: memberId
+      }
+    });
+
+  } catch (error) {
+    console.error('Project member removal error:', error);
+    res.status(500).json({
+      message: 'Server error removing project member.'
+    });
+  }
+});
+
 // @route   GET /api/projects/:projectId/tasks
 // @desc    Get all tasks for a specific project
-// @access  Private (project owner only)
-router.get('/:projectId/tasks', async (req, res) => {
+// @access  Private (viewer and above)
+router.get('/:projectId/tasks', verifyProjectAccess('viewer', 'projectId'), async (req, res) => {
   try {
     const projectId = req.params.projectId;
-    const userId = req.user._id;
+    const project = req.resource;
 
-    // Verify project ownership
-    const project = await Project.findOne({ _id: projectId, user: userId });
-    
-    if (!project) {
-      return res.status(404).json({
-        message: 'Project not found or access denied.'
+    // Parse and validate filtering and sorting query parameters
+    const { filter, sort: sortSpec } = parseListQuery(req.query, taskQuerySpec([project]));
+
+    // Build query for project tasks
+    const query = { project: projectId, ...filter };
+
+    if (req.query.view && !['list', 'board'].includes(req.query.view)) {
+      return res.status(400).json({
+        message: 'Invalid view. Must be one of: list, board'
       });
     }
 
-    // Get query parameters for filtering and sorting
-    const { status, priority, sort = 'createdAt', order = 'desc' } = req.query;
-    
-    // Build query for project tasks
-    const query = { project: projectId };
-    
-    // Add filters if provided
-    if (status) query.status = status;
-    if (priority) query.priority = priority;
+    // Board view: every matching task, grouped into workflow status columns in rank order
+    if (req.query.view === 'board') {
+      const docs = await Task.find(query)
+        .sort({ rank: 1, createdAt: 1, _id: 1 })
+        .populate('project', 'name')
+        .populate('assignees', 'username email');
+      const tasks = await Task.withDependencyInfo(docs);
+
+      const columns = project.workflow.statuses.map(({ name, isDone }) => {
+        const columnTasks = tasks.filter(task => task.status === name);
+
+        // Tasks created before ranks existed go to the bottom of their column
+        const ordered = [
+          ...columnTasks.filter(task => task.rank != null),
+          ...columnTasks.filter(task => task.rank == null)
+        ];
+
+        return { status: name, isDone, count: ordered.length, tasks: ordered };
+      });
+
+      return res.json({
+        message: 'Tasks retrieved successfully.',
+        project: {
+          id: project._id,
+          name: project.name
+        },
+        view: 'board',
+        total: tasks.length,
+        columns
+      });
+    }
 
-    // Build sort object
-    const sortObj = {};
-    sortObj[sort] = order === 'asc' ? 1 : -1;
+    // Apply the cursor position
+    const page = parsePagination(req.query);
+    const pageQuery = paginationQuery(query, sortSpec, page.cursor);
 
-    // Find tasks with filtering and sorting
-    const tasks = await Task.find(query)
-      .sort(sortObj)
-      .populate('project', 'name');
+    // Find one page of tasks (plus one to detect a next page)
+    const [docs, total] = await Promise.all([
+      Task.find(pageQuery.filter)
+        .sort(pageQuery.sort)
+        .limit(page.limit + 1)
+        .populate('project', 'name')
+        .populate('assignees', 'username email'),
+      Task.countDocuments(query)
+    ]);
+    const { items, nextCursor } = paginateResults(docs, page.limit, sortSpec);
+    const tasks = await Task.withDependencyInfo(items);
 
     res.json({
       message: 'Tasks retrieved successfully.',
@@ -276,11 +1136,26 @@ router.get('/:projectId/tasks', async (req, res) => {
         name: project.name
       },
       count: tasks.length,
+      total,
+      nextCursor,
       tasks
     });
 
   } catch (error) {
     console.error('Project tasks fetch error:', error);
+
+    if (error.name === 'QueryError') {
+      return res.status(400).json({
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
     
     if (error.name === 'CastError') {
       return res.status(400).json({
@@ -296,12 +1171,12 @@ router.get('/:projectId/tasks', async (req, res) => {
 
 // @route   POST /api/projects/:projectId/tasks
 // @desc    Create a new task for a specific project
-// @access  Private (project owner only)
-router.post('/:projectId/tasks', async (req, res) => {
+// @access  Private (editor and above)
+router.post('/:projectId/tasks', verifyProjectAccess('editor', 'projectId'), async (req, res) => {
   try {
     const projectId = req.params.projectId;
-    const userId = req.user._id;
-    const { title, description, status, priority, dueDate } = req.body;
+    const project = req.resource;
+    const { title, description, status, priority, dueDate, assignees, parent, checklist, recurrence } = req.body;
 
     // Validate required fields
     if (!title || !description) {
@@ -310,30 +1185,74 @@ router.post('/:projectId/tasks', async (req, res) => {
       });
     }
 
-    // Verify project ownership
-    const project = await Project.findOne({ _id: projectId, user: userId });
-    
-    if (!project) {
-      return res.status(404).json({
-        message: 'Project not found or access denied.'
+    // Validate assignees against project membership
+    let assigneeIds = [];
+    if (assignees !== undefined) {
+      const result = resolveAssignees(project, assignees);
+      if (result.error) {
+        return res.status(400).json({
+          message: result.error,
+          invalidAssignees: result.invalidAssignees
+        });
+      }
+      assigneeIds = result.assigneeIds;
+    }
+
+    // Checklist items may be given as strings or { text, done } objects
+    if (checklist !== undefined && !Array.isArray(checklist)) {
+      return res.status(400).json({
+        message: 'Checklist must be an array of items.'
       });
     }
+    const checklistItems = (checklist || []).map(item => {
+      if (typeof item === 'string') return { text: item };
+      const done = Boolean(item && item.done);
+      return { text: item && item.text, done, completedAt: done ? new Date() : null };
+    });
 
     // Create new task
     const task = new Task({
       title: title.trim(),
       description: description.trim(),
-      status: status || 'To Do',
+      status: status || project.defaultStatus(),
       priority: priority || 'Medium',
       project: projectId,
-      dueDate: dueDate ? new Date(dueDate) : undefined
+      assignees: assigneeIds,
+      checklist: checklistItems,
+      dueDate: dueDate ? new Date(dueDate) : undefined,
+      recurrence: recurrence || null
     });
 
+    // Subtasks must belong to a parent in the same project
+    if (parent) {
+      const parentError = await Task.validateParent(task, parent);
+      if (parentError) {
+        return res.status(400).json({
+          message: parentError
+        });
+      }
+      task.parent = parent;
+    }
+
     // Save task to database
     await task.save();
 
-    // Populate project details for response
-    await task.populate('project', 'name');
+    await recordActivity({
+      actor: req.user._id,
+      project,
+      task,
+      entityType: 'task',
+      entityId: task._id,
+      action: 'created',
+      summary: task.title,
+      changes: diffSnapshots({}, snapshot(task, TASK_FIELDS))
+    });
+
+    // Populate project and assignee details for response
+    await task.populate([
+      { path: 'project', select: 'name' },
+      { path: 'assignees', select: 'username email' }
+    ]);
 
     res.status(201).json({
       message: 'Task created successfully.',
@@ -0,0 +1,58 @@
+const express = require('express');
+const { verifyProjectAccess } = require('../../utils/auth');
+const { parseDateRange } = require('../../utils/queryParser');
+const { burndownReport, throughputReport, cycleTimeReport } = require('../../utils/reports');
+
+// Mounted under /api/projects/:id/reports, so id comes from the parent router
+const router = express.Router({ mergeParams: true });
+
+// Build a route handler that runs a report over the requested date range
+const reportHandler = (name, buildReport, rangeOptions) => async (req, res) => {
+  try {
+    const project = req.resource;
+    const { from, to } = parseDateRange(req.query, rangeOptions);
+
+    const report = await buildReport(project, { from, to });
+
+    res.json({
+      message: `Project ${name} report retrieved successfully.`,
+      project: {
+        id: project._id,
+        name: project.name
+      },
+      range: { from, to },
+      ...report
+    });
+
+  } catch (error) {
+    console.error(`Project ${name} report error:`, error);
+
+    if (error.name === 'QueryError') {
+      return res.status(400).json({
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    res.status(500).json({
+      message: `Server error fetching ${name} report.`
+    });
+  }
+};
+
+// @route   GET /api/projects/:id/reports/burndown
+// @desc    Get daily open, done and total task counts for a burndown or burnup chart
+// @access  Private (viewer and above)
+router.get('/burndown', verifyProjectAccess('viewer'), reportHandler('burndown', burndownReport, { defaultDays: 30 }));
+
+// @route   GET /api/projects/:id/reports/throughput
+// @desc    Get weekly counts of tasks created and completed
+// @access  Private (viewer and above)
+router.get('/throughput', verifyProjectAccess('viewer'), reportHandler('throughput', throughputReport, { defaultDays: 84 }));
+
+// @route   GET /api/projects/:id/reports/cycle-time
+// @desc    Get average and median lead and cycle times, overall and per week
+// @access  Private (viewer and above)
+router.get('/cycle-time', verifyProjectAccess('viewer'), reportHandler('cycle time', cycleTimeReport, { defaultDays: 84 }));
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const { authenticateToken } = require('../../utils/auth');
+const { TASK_QUERY, taskQuerySpec, parseIncludeArchived, parseListQuery } = require('../../utils/queryParser');
+const { searchTerms, buildSnippet } = require('../../utils/highlight');
+
+const router = express.Router();
+
+// Apply authentication middleware to all search routes
+router.use(authenticateToken);
+
+const SEARCH_TYPES = ['all', 'projects', 'tasks'];
+const TASK_FILTER_PARAMS = ['status', 'priority', 'dueDateFrom', 'dueDateTo', 'overdue', 'hasDueDate'];
+
+// Build highlighted snippets for every field that contains a match
+const buildHighlights = (doc, fields, terms) => {
+  return fields.reduce((acc, field) => {
+    const snippet = buildSnippet(doc[field], terms);
+    if (snippet) acc[field] = snippet;
+    return acc;
+  }, {});
+};
+
+// @route   GET /api/search
+// @desc    Full-text search across projects and tasks the user can access
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { q, limit = '20' } = req.query;
+    const userId = req.user._id;
+
+    // Validate the search text
+    if (typeof q !== 'string' || q.trim().length < 2 || q.trim().length > 100) {
+      return res.status(400).json({
+        message: 'Please provide a search query (q) between 2 and 100 characters.'
+      });
+    }
+
+    const maxResults = Number(limit);
+    if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > 50) {
+      return res.status(400).json({
+        message: 'Invalid limit. Must be an integer between 1 and 50.'
+      });
+    }
+
+    // Task filters only apply to tasks, so using one narrows results to tasks
+    const hasTaskFilters = TASK_FILTER_PARAMS.some(param => req.query[param] !== undefined);
+    const type = req.query.type || (hasTaskFilters ? 'tasks' : 'all');
+
+    if (!SEARCH_TYPES.includes(type)) {
+      return res.status(400).json({
+        message: `Invalid type. Must be one of: ${SEARCH_TYPES.join(', ')}`
+      });
+    }
+
+    // Only search inside projects the user owns or is a member of
+    const includeArchived = parseIncludeArchived(req.query);
+    const userProjects = await Project.find(Project.accessFilter(userId, { includeArchived })).select('workflow');
+    const projectIds = userProjects.map(p => p._id);
+
+    // Reuse the task list filters (status, priority, due dates)
+    const { filter: taskFilter } = parseListQuery(
+      { ...req.query, sort: TASK_QUERY.defaultSort, order: 'desc' },
+      taskQuerySpec(userProjects)
+    );
+
+    const search = { $text: { $search: q.trim() } };
+    const score = { score: { $meta: 'textScore' } };
+
+    const [projects, tasks] = await Promise.all([
+      type === 'tasks' ? [] : Project.find({ ...search, _id: { $in: projectIds } }, score)
+        .sort(score)
+        .limit(maxResults)
+        .lean(),
+      type === 'projects' ? [] : Task.find({ ...search, project: { $in: projectIds }, ...taskFilter }, score)
+        .sort(score)
+        .limit(maxResults)
+        .populate('project', 'name')
+        .lean()
+    ]);
+
+    const terms = searchTerms(q);
+
+    // Merge both result sets and rank them by relevance
+    const results = [
+      ...projects.map(project => ({
+        type: 'project',
+        id: project._id,
+        score: project.score,
+        name: project.name,
+        status: project.status,
+        highlights: buildHighlights(project, ['name', 'description'], terms)
+      })),
+      ...tasks.map(task => ({
+        type: 'task',
+        id: task._id,
+        score: task.score,
+        title: task.title,
+        status: task.status,
+        priority: task.priority,
+        dueDate: task.dueDate,
+        project: task.project ? { id: task.project._id, name: task.project.name } : null,
+        highlights: buildHighlights(task, ['title', 'description'], terms)
+      }))
+    ]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxResults);
+
+    res.json({
+      message: 'Search completed successfully.',
+      query: q.trim(),
+      count: results.length,
+      results
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+
+    if (error.name === 'QueryError') {
+      return res.status(400).json({
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during search.'
+    });
+  }
+});
+
+module.exports = router;
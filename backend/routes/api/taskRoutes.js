@@ -1,25 +1,433 @@
 const express = require('express');
 const Task = require('../../models/Task');
 const Project = require('../../models/Project');
-const { authenticateToken, verifyTaskOwnership } = require('../../utils/auth');
+const mongoose = require('mongoose');
+const {
+  authenticateToken,
+  archivedProjectError,
+  checkTaskAccess,
+  verifyTaskAccess
+} = require('../../utils/auth');
+const { resolveAssignees } = require('../../utils/assignees');
+const {
+  TASK_FIELDS,
+  snapshot,
+  diffSnapshots,
+  recordActivity,
+  listActivity
+} = require('../../utils/activity');
+const { parsePagination, paginationQuery, paginateResults } = require('../../utils/pagination');
+const { taskQuerySpec, parseIncludeArchived, parseListQuery } = require('../../utils/queryParser');
+const { checkStatusChange, afterStatusChange } = require('../../utils/taskStatus');
+const { rankBetween, rankAfter } = require('../../utils/rank');
+const { projectTaskStats, sumTaskStats } = require('../../utils/taskStats');
+const commentRoutes = require('./commentRoutes');
+const checklistRoutes = require('./checklistRoutes');
 
 const router = express.Router();
 
+const BULK_MAX_TASKS = 100; // Most tasks a single bulk request may change
+const BULK_CHANGE_FIELDS = ['status', 'priority', 'dueDate', 'project'];
+
 // Apply authentication middleware to all task routes
 router.use(authenticateToken);
 
+// Comments subresource: /api/tasks/:taskId/comments
+router.use('/:taskId/comments', commentRoutes);
+
+// Checklist subresource: /api/tasks/:taskId/checklist
+router.use('/:taskId/checklist', checklistRoutes);
+
+// Summary of the next occurrence created when a recurring task is finished
+const formatOccurrence = (task) => (task
+  ? {
+    id: task._id,
+    title: task.title,
+    status: task.status,
+    dueDate: task.dueDate,
+    occurrence: task.occurrence
+  }
+  : null);
+
+// Find a project that tasks are being moved or copied into.
+// Returns { project }, or { error } when it is missing or the user is not an editor.
+const findTargetProject = async (projectId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(projectId)) {
+    return { error: { status: 400, body: { message: 'Invalid project ID format.' } } };
+  }
+
+  const project = await Project.findById(projectId);
+  const role = project ? project.getRole(userId) : null;
+
+  if (!role) {
+    return { error: { status: 404, body: { message: 'Target project not found.' } } };
+  }
+
+  if (!Project.roleSatisfies(role, 'editor')) {
+    return {
+      error: {
+        status: 403,
+        body: { message: 'Access denied. This action requires the editor role on the target project.' }
+      }
+    };
+  }
+
+  if (project.archivedAt) {
+    return { error: archivedProjectError() };
+  }
+
+  return { project };
+};
+
+// @route   POST /api/tasks/bulk
+// @desc    Update or delete many tasks at once, with a result per task
+// @access  Private (editor and above on each task's project)
+router.post('/bulk', async (req, res) => {
+  try {
+    const { taskIds, action, changes = {}, atomic = false, overrideBlockers } = req.body;
+    const userId = req.user._id;
+
+    if (!Array.isArray(taskIds) || taskIds.length === 0 || taskIds.length > BULK_MAX_TASKS) {
+      return res.status(400).json({
+        message: `Please provide taskIds as an array of 1-${BULK_MAX_TASKS} task IDs.`
+      });
+    }
+
+    if (!['update', 'delete'].includes(action)) {
+      return res.status(400).json({
+        message: 'Invalid action. Must be one of: update, delete'
+      });
+    }
+
+    if (typeof atomic !== 'boolean') {
+      return res.status(400).json({
+        message: 'atomic must be true or false.'
+      });
+    }
+
+    const changeFields = Object.keys(changes);
+    if (action === 'update') {
+      const unknownFields = changeFields.filter(field => !BULK_CHANGE_FIELDS.includes(field));
+
+      if (changeFields.length === 0 || unknownFields.length > 0) {
+        return res.status(400).json({
+          message: `Please provide changes using only: ${BULK_CHANGE_FIELDS.join(', ')}`
+        });
+      }
+
+      if (changes.project !== undefined && changes.status !== undefined) {
+        return res.status(400).json({
+          message: 'Status and project cannot be changed in the same request.'
+        });
+      }
+    }
+
+    // Tasks can only be moved into a project the user can edit
+    let targetProject = null;
+    if (action === 'update' && changes.project !== undefined) {
+      const target = await findTargetProject(changes.project, userId);
+      if (target.error) {
+        return res.status(target.error.status).json(target.error.body);
+      }
+      targetProject = target.project;
+    }
+
+    const uniqueIds = [...new Set(taskIds.map(id => String(id)))];
+    const results = [];
+    const prepared = [];
+
+    // Tasks are validated before any is saved, so the rank hook would give
+    // every task entering the same column the same rank. Rank them here
+    // instead, one after another at the bottom of each column.
+    const lastRanks = new Map();
+    const nextRank = async (projectId, status) => {
+      const column = `${projectId}:${status}`;
+      const rank = lastRanks.has(column)
+        ? rankAfter(lastRanks.get(column))
+        : await Task.nextRank(projectId, status);
+      lastRanks.set(column, rank);
+      return rank;
+    };
+
+    // Check access and validate every task before changing any of them
+    for (const taskId of uniqueIds) {
+      const fail = (statusCode, message, extra = {}) => {
+        results.push({ taskId, success: false, statusCode, message, ...extra });
+      };
+
+      if (!mongoose.Types.ObjectId.isValid(taskId)) {
+        fail(400, 'Invalid task ID format.');
+        continue;
+      }
+
+      const task = await Task.findById(taskId).populate('project', 'name user members workflow archivedAt');
+      if (!task) {
+        fail(404, 'Task not found.');
+        continue;
+      }
+
+      const accessError = checkTaskAccess(task, userId, 'editor');
+      if (accessError) {
+        fail(accessError.status, accessError.body.message);
+        continue;
+      }
+
+      const before = snapshot(task, TASK_FIELDS);
+
+      if (action === 'update') {
+        if (changes.status !== undefined) {
+          const statusError = await checkStatusChange(task, changes.status, { overrideBlockers });
+          if (statusError) {
+            const { message, ...details } = statusError.body;
+            fail(statusError.status, message, details);
+            continue;
+          }
+          task.status = changes.status;
+          if (task.isModified('status')) {
+            task.rank = await nextRank(task.project._id, task.status);
+          }
+        }
+        if (changes.priority !== undefined) task.priority = changes.priority;
+        if (changes.dueDate !== undefined) {
+          task.dueDate = changes.dueDate ? new Date(changes.dueDate) : null;
+        }
+
+        try {
+          await task.validate();
+        } catch (error) {
+          if (error.name !== 'ValidationError') throw error;
+          fail(400, 'Validation error.', { errors: Object.values(error.errors).map(err => err.message) });
+          continue;
+        }
+      }
+
+      prepared.push({ taskId, task, before, sourceProject: task.project });
+    }
+
+    if (atomic && results.length > 0) {
+      return res.status(400).json({
+        message: 'No tasks were changed because some tasks failed validation.',
+        atomic,
+        succeeded: 0,
+        failed: results.length,
+        results
+      });
+    }
+
+    // Apply one prepared change, inside the transaction when one is given
+    const apply = async ({ task, sourceProject }, session = null) => {
+      if (action === 'delete') {
+        await task.moveToTrash(userId, { session });
+        return;
+      }
+
+      if (targetProject && sourceProject._id.toString() !== targetProject._id.toString()) {
+        await task.moveToProject(targetProject, { session });
+        return;
+      }
+
+      task.$session(session);
+      await task.save();
+    };
+
+    const applied = [];
+    if (atomic) {
+      try {
+        await mongoose.connection.transaction(async (session) => {
+          for (const item of prepared) {
+            await apply(item, session);
+          }
+        });
+        applied.push(...prepared);
+      } catch (error) {
+        console.error('Bulk task transaction error:', error);
+        return res.status(500).json({
+          message: 'Bulk operation failed and no tasks were changed.'
+        });
+      }
+    } else {
+      for (const item of prepared) {
+        try {
+          await apply(item);
+          applied.push(item);
+        } catch (error) {
+          console.error(`Bulk task error for ${item.taskId}:`, error);
+          const validation = error.name === 'ValidationError';
+          results.push({
+            taskId: item.taskId,
+            success: false,
+            statusCode: validation ? 400 : 500,
+            message: validation ? 'Validation error.' : 'Server error updating task.',
+            ...(validation && { errors: Object.values(error.errors).map(err => err.message) })
+          });
+        }
+      }
+    }
+
+    for (const { taskId, task, before, sourceProject } of applied) {
+      const deleted = action === 'delete';
+      const taskChanges = diffSnapshots(before, deleted ? {} : snapshot(task, TASK_FIELDS));
+      const moved = !deleted && sourceProject._id.toString() !== task.project._id.toString();
+      if (moved) {
+        taskChanges.push({ field: 'project', from: sourceProject.name, to: task.project.name });
+      }
+
+      if (taskChanges.length > 0) {
+        // Moved tasks are logged on both projects so each one learns that
+        // the task arrived or left
+        const projects = moved ? [sourceProject, task.project] : [task.project];
+
+        for (const project of projects) {
+          await recordActivity({
+            actor: userId,
+            project,
+            task,
+            entityType: 'task',
+            entityId: task._id,
+            action: deleted ? 'deleted' : 'updated',
+            summary: task.title,
+            changes: taskChanges
+          });
+        }
+      }
+
+      const nextOccurrence = deleted ? null : await afterStatusChange(task, before.status, userId);
+
+      results.push({
+        taskId,
+        success: true,
+        statusCode: 200,
+        ...(deleted
+          ? { deleted: true }
+          : {
+            task: {
+              id: task._id,
+              title: task.title,
+              status: task.status,
+              priority: task.priority,
+              dueDate: task.dueDate,
+              project: { _id: task.project._id, name: task.project.name }
+            },
+            nextOccurrence: formatOccurrence(nextOccurrence)
+          })
+      });
+    }
+
+    // Report results in the order the task IDs were given
+    results.sort((a, b) => uniqueIds.indexOf(a.taskId) - uniqueIds.indexOf(b.taskId));
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      message: `Bulk ${action} finished: ${succeeded} succeeded, ${results.length - succeeded} failed.`,
+      atomic,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+
+  } catch (error) {
+    console.error('Bulk task operation error:', error);
+    res.status(500).json({
+      message: 'Server error during bulk task operation.'
+    });
+  }
+});
+
+// Static routes must be declared before the /:taskId routes, which would
+// otherwise treat their path as a task ID
+
+// @route   GET /api/tasks/stats
+// @desc    Get task statistics for the authenticated user
+// @access  Private
+router.get('/stats', async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    // Get all projects the user owns or is a member of
+    const includeArchived = parseIncludeArchived(req.query);
+    const userProjects = await Project.find(Project.accessFilter(userId, { includeArchived })).select('workflow');
+
+    // Aggregate task statistics per project, then add them up
+    const statsByProject = await projectTaskStats(userProjects);
+    const totals = sumTaskStats(statsByProject.values());
+
+    res.json({
+      message: 'Task statistics retrieved successfully.',
+      stats: {
+        totalTasks: totals.totalTasks,
+        doneTasks: totals.doneTasks,
+        openTasks: totals.openTasks,
+        highPriorityTasks: totals.byPriority.High,
+        urgentTasks: totals.byPriority.Urgent,
+        overdueTasks: totals.overdueTasks,
+        byStatus: totals.byStatus,
+        byPriority: totals.byPriority,
+        completionRate: totals.completionRate,
+        projectCount: userProjects.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Task stats error:', error);
+
+    if (error.name === 'QueryError') {
+      return res.status(400).json({
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error fetching task statistics.'
+    });
+  }
+});
+
 // @route   PUT /api/tasks/:taskId
 // @desc    Update a specific task
-// @access  Private (project owner only)
-router.put('/:taskId', verifyTaskOwnership, async (req, res) => {
+// @access  Private (editor and above)
+router.put('/:taskId', verifyTaskAccess('editor'), async (req, res) => {
   try {
-    const { title, description, status, priority, dueDate } = req.body;
-    const task = req.task; // Available from verifyTaskOwnership middleware
+    const { title, description, status, priority, dueDate, assignees, parent, overrideBlockers } = req.body;
+    const task = req.task; // Available from verifyTaskAccess middleware
+    const before = snapshot(task, TASK_FIELDS);
+
+    // Validate the parent task (null makes this a top-level task)
+    if (parent !== undefined) {
+      if (parent) {
+        const parentError = await Task.validateParent(task, parent);
+        if (parentError) {
+          return res.status(400).json({
+            message: parentError
+          });
+        }
+      }
+      task.parent = parent || null;
+    }
+
+    // Validate assignees against project membership
+    if (assignees !== undefined) {
+      const result = resolveAssignees(task.project, assignees);
+      if (result.error) {
+        return res.status(400).json({
+          message: result.error,
+          invalidAssignees: result.invalidAssignees
+        });
+      }
+      task.assignees = result.assigneeIds;
+    }
 
     // Update fields if provided
     if (title !== undefined) task.title = title.trim();
     if (description !== undefined) task.description = description.trim();
-    if (status !== undefined) task.status = status;
+    if (status !== undefined) {
+      // Validate the status against the project's workflow and blockers
+      const statusError = await checkStatusChange(task, status, { overrideBlockers });
+      if (statusError) {
+        return res.status(statusError.status).json(statusError.body);
+      }
+      task.status = status;
+    }
     if (priority !== undefined) task.priority = priority;
     if (dueDate !== undefined) {
       task.dueDate = dueDate ? new Date(dueDate) : null;
@@ -28,12 +436,35 @@ router.put('/:taskId', verifyTaskOwnership, async (req, res) => {
     // Save updated task
     await task.save();
 
-    // Populate project details for response
-    await task.populate('project', 'name');
+    const changes = diffSnapshots(before, snapshot(task, TASK_FIELDS));
+    if (changes.length > 0) {
+      await recordActivity({
+        actor: req.user._id,
+        project: task.project,
+        task,
+        entityType: 'task',
+        entityId: task._id,
+        action: 'updated',
+        summary: task.title,
+        changes
+      });
+    }
+
+    const nextOccurrence = await afterStatusChange(task, before.status, req.user._id);
+
+    // Populate project, assignee and blocker details for response
+    await task.populate([
+      { path: 'project', select: 'name' },
+      { path: 'assignees', select: 'username email' },
+      { path: 'blockedBy', select: 'title status' }
+    ]);
+
+    const [taskWithDependencies] = await Task.withDependencyInfo([task]);
 
     res.json({
       message: 'Task updated successfully.',
-      task
+      task: taskWithDependencies,
+      nextOccurrence: formatOccurrence(nextOccurrence)
     });
 
   } catch (error) {
@@ -55,24 +486,36 @@ router.put('/:taskId', verifyTaskOwnership, async (req, res) => {
 });
 
 // @route   DELETE /api/tasks/:taskId
-// @desc    Delete a specific task
-// @access  Private (project owner only)
-router.delete('/:taskId', verifyTaskOwnership, async (req, res) => {
+// @desc    Move a specific task and its subtasks to the trash
+// @access  Private (editor and above)
+router.delete('/:taskId', verifyTaskAccess('editor'), async (req, res) => {
   try {
-    const task = req.task; // Available from verifyTaskOwnership middleware
-    
-    // Store task info for response before deletion
+    const task = req.task; // Available from verifyTaskAccess middleware
+
+    // Trash the task with its subtasks; they can be restored until purged
+    const { trashedSubtasksCount } = await task.moveToTrash(req.user._id);
+
     const taskInfo = {
       id: task._id,
       title: task.title,
-      projectName: task.project.name
+      projectName: task.project.name,
+      deletedSubtasksCount: trashedSubtasksCount,
+      deletedAt: task.deletedAt
     };
 
-    // Delete the task
-    await Task.deleteOne({ _id: task._id });
+    await recordActivity({
+      actor: req.user._id,
+      project: task.project,
+      task,
+      entityType: 'task',
+      entityId: task._id,
+      action: 'deleted',
+      summary: task.title,
+      changes: diffSnapshots(snapshot(task, TASK_FIELDS), {})
+    });
 
     res.json({
-      message: 'Task deleted successfully.',
+      message: 'Task moved to trash.',
       deletedTask: taskInfo
     });
 
@@ -86,17 +529,24 @@ router.delete('/:taskId', verifyTaskOwnership, async (req, res) => {
 
 // @route   GET /api/tasks/:taskId
 // @desc    Get a specific task
-// @access  Private (project owner only)
-router.get('/:taskId', verifyTaskOwnership, async (req, res) => {
+// @access  Private (viewer and above)
+router.get('/:taskId', verifyTaskAccess('viewer'), async (req, res) => {
   try {
-    const task = req.task; // Available from verifyTaskOwnership middleware
+    const task = req.task; // Available from verifyTaskAccess middleware
+
+    // Populate project, assignee and blocker details
+    await task.populate([
+      { path: 'project', select: 'name description user' },
+      { path: 'assignees', select: 'username email' },
+      { path: 'blockedBy', select: 'title status' }
+    ]);
 
-    // Populate project details
-    await task.populate('project', 'name description user');
+    const [taskWithDependencies] = await Task.withDependencyInfo([task]);
 
     res.json({
       message: 'Task retrieved successfully.',
-      task
+      task: taskWithDependencies,
+      role: req.projectRole
     });
 
   } catch (error) {
@@ -113,80 +563,423 @@ router.get('/:taskId', verifyTaskOwnership, async (req, res) => {
 router.get('/', async (req, res) => {
   try {
     const userId = req.user._id;
-    const { status, priority, project, sort = 'createdAt', order = 'desc' } = req.query;
+    const { project, assignee } = req.query;
 
-    // First, get all projects owned by the user
-    const userProjects = await Project.find({ user: userId }).select('_id');
+    // First, get all projects the user owns or is a member of. Archived
+    // projects are left out unless requested or selected with `project`.
+    const includeArchived = parseIncludeArchived(req.query) || Boolean(project);
+    const userProjects = await Project.find(Project.accessFilter(userId, { includeArchived })).select('workflow');
     const projectIds = userProjects.map(p => p._id);
 
+    // Parse and validate filtering and sorting query parameters
+    const { filter, sort: sortSpec } = parseListQuery(req.query, taskQuerySpec(userProjects));
+
     // Build query for tasks in user's projects
-    const query = { project: { $in: projectIds } };
+    const query = { project: { $in: projectIds }, ...filter };
 
     // Add filters if provided
-    if (status) query.status = status;
-    if (priority) query.priority = priority;
+    if (assignee) {
+      // "me" is shorthand for tasks assigned to the authenticated user
+      const assigneeId = assignee === 'me' ? userId.toString() : assignee;
+      if (!mongoose.Types.ObjectId.isValid(assigneeId)) {
+        return res.status(400).json({
+          message: 'Invalid assignee ID format.'
+        });
+      }
+      query.assignees = new mongoose.Types.ObjectId(assigneeId);
+    }
     if (project) {
-      // Verify the project belongs to the user
+      // Verify the project is shared with the user
       if (projectIds.some(id => id.toString() === project)) {
-        query.project = project;
+        query.project = new mongoose.Types.ObjectId(project);
       } else {
         return res.status(400).json({
-          message: 'Invalid project ID or project does not belong to you.'
+          message: 'Invalid project ID or you are not a member of this project.'
         });
       }
     }
 
-    // Build sort object
-    const sortObj = {};
-    sortObj[sort] = order === 'asc' ? 1 : -1;
+    // Apply the cursor position
+    const page = parsePagination(req.query);
+    const pageQuery = paginationQuery(query, sortSpec, page.cursor);
 
-    // Find tasks with filtering and sorting
-    const tasks = await Task.find(query)
-      .sort(sortObj)
-      .populate('project', 'name')
-      .limit(100); // Limit results for performance
+    // Find one page of tasks (plus one to detect a next page) and
+    // group every matching task by status for the summary
+    const [docs, statusCounts] = await Promise.all([
+      Task.find(pageQuery.filter)
+        .sort(pageQuery.sort)
+        .limit(page.limit + 1)
+        .populate('project', 'name')
+        .populate('assignees', 'username email'),
+      Task.aggregate([
+        { $match: query },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+    const { items, nextCursor } = paginateResults(docs, page.limit, sortSpec);
+    const tasks = await Task.withDependencyInfo(items);
 
-    // Group tasks by status for summary
-    const tasksSummary = tasks.reduce((acc, task) => {
-      acc[task.status] = (acc[task.status] || 0) + 1;
+    const tasksSummary = statusCounts.reduce((acc, group) => {
+      acc[group._id] = group.count;
       return acc;
     }, {});
+    const total = statusCounts.reduce((sum, group) => sum + group.count, 0);
 
     res.json({
       message: 'Tasks retrieved successfully.',
       count: tasks.length,
+      total,
+      nextCursor,
       summary: tasksSummary,
       tasks
     });
 
   } catch (error) {
     console.error('Tasks fetch error:', error);
+
+    if (error.name === 'QueryError') {
+      return res.status(400).json({
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       message: 'Server error fetching tasks.'
     });
   }
 });
 
+// @route   GET /api/tasks/:taskId/subtasks
+// @desc    Get the direct subtasks of a task
+// @access  Private (viewer and above)
+router.get('/:taskId/subtasks', verifyTaskAccess('viewer'), async (req, res) => {
+  try {
+    const subtasks = await Task.find({ parent: req.task._id })
+      .sort({ createdAt: 1 })
+      .populate('assignees', 'username email');
+
+    const doneCount = subtasks.filter(subtask => req.task.project.isDoneStatus(subtask.status)).length;
+
+    res.json({
+      message: 'Subtasks retrieved successfully.',
+      count: subtasks.length,
+      progress: {
+        done: doneCount,
+        total: subtasks.length,
+        label: `${doneCount}/${subtasks.length}`
+      },
+      subtasks
+    });
+
+  } catch (error) {
+    console.error('Subtasks fetch error:', error);
+    res.status(500).json({
+      message: 'Server error fetching subtasks.'
+    });
+  }
+});
+
+// @route   POST /api/tasks/:taskId/dependencies
+// @desc    Mark a task as blocked by another task in the same project
+// @access  Private (editor and above)
+router.post('/:taskId/dependencies', verifyTaskAccess('editor'), async (req, res) => {
+  try {
+    const { blockedBy } = req.body;
+    const task = req.task;
+
+    if (!blockedBy || !mongoose.Types.ObjectId.isValid(blockedBy)) {
+      return res.status(400).json({
+        message: 'Please provide a valid blockedBy task ID.'
+      });
+    }
+
+    const blocker = await Task.findById(blockedBy).select('title status project');
+
+    if (!blocker || blocker.project.toString() !== task.project._id.toString()) {
+      return res.status(400).json({
+        message: 'Blocking task must belong to the same project.'
+      });
+    }
+
+    if (task.blockedBy.some(id => id.toString() === blocker._id.toString())) {
+      return res.status(400).json({
+        message: 'This dependency already exists.'
+      });
+    }
+
+    // Reject links that would make tasks wait on each other
+    if (await Task.wouldCreateCycle(task._id, blocker._id)) {
+      return res.status(400).json({
+        message: 'This dependency would create a cycle.'
+      });
+    }
+
+    const before = snapshot(task, TASK_FIELDS);
+    task.blockedBy.push(blocker._id);
+    await task.save();
+
+    await recordActivity({
+      actor: req.user._id,
+      project: task.project,
+      task,
+      entityType: 'task',
+      entityId: task._id,
+      action: 'updated',
+      summary: task.title,
+      changes: diffSnapshots(before, snapshot(task, TASK_FIELDS))
+    });
+
+    await task.populate('blockedBy', 'title status');
+    const [taskWithDependencies] = await Task.withDependencyInfo([task]);
+
+    res.status(201).json({
+      message: 'Dependency added successfully.',
+      task: taskWithDependencies
+    });
+
+  } catch (error) {
+    console.error('Dependency creation error:', error);
+    res.status(500).json({
+      message: 'Server error adding dependency.'
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:taskId/dependencies/:blockerId
+// @desc    Remove a dependency between two tasks
+// @access  Private (editor and above)
+router.delete('/:taskId/dependencies/:blockerId', verifyTaskAccess('editor'), async (req, res) => {
+  try {
+    const task = req.task;
+    const blockerId = req.params.blockerId;
+
+    if (!task.blockedBy.some(id => id.toString() === blockerId)) {
+      return res.status(404).json({
+        message: 'Dependency not found.'
+      });
+    }
+
+    const before = snapshot(task, TASK_FIELDS);
+    task.blockedBy = task.blockedBy.filter(id => id.toString() !== blockerId);
+    await task.save();
+
+    await recordActivity({
+      actor: req.user._id,
+      project: task.project,
+      task,
+      entityType: 'task',
+      entityId: task._id,
+      action: 'updated',
+      summary: task.title,
+      changes: diffSnapshots(before, snapshot(task, TASK_FIELDS))
+    });
+
+    await task.populate('blockedBy', 'title status');
+    const [taskWithDependencies] = await Task.withDependencyInfo([task]);
+
+    res.json({
+      message: 'Dependency removed successfully.',
+      task: taskWithDependencies
+    });
+
+  } catch (error) {
+    console.error('Dependency removal error:', error);
+    res.status(500).json({
+      message: 'Server error removing dependency.'
+    });
+  }
+});
+
+// @route   GET /api/tasks/:taskId/activity
+// @desc    Get the activity log for a task, newest first
+// @access  Private (viewer and above)
+router.get('/:taskId/activity', verifyTaskAccess('viewer'), async (req, res) => {
+  try {
+    const { limit, cursor } = req.query;
+
+    const { activity, nextCursor } = await listActivity(
+      { task: req.task._id },
+      { limit, cursor }
+    );
+
+    res.json({
+      message: 'Task activity retrieved successfully.',
+      count: activity.length,
+      nextCursor,
+      activity
+    });
+
+  } catch (error) {
+    console.error('Task activity fetch error:', error);
+
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error fetching task activity.'
+    });
+  }
+});
+
+// @route   POST /api/tasks/:taskId/assignees
+// @desc    Assign one or more project members to a task
+// @access  Private (editor and above)
+router.post('/:taskId/assignees', verifyTaskAccess('editor'), async (req, res) => {
+  try {
+    const { userId, userIds } = req.body;
+    const task = req.task;
+    const requested = userIds !== undefined ? userIds : userId;
+
+    if (!requested || (Array.isArray(requested) && requested.length === 0)) {
+      return res.status(400).json({
+        message: 'Please provide userId or userIds to assign.'
+      });
+    }
+
+    // Validate the new assignees against project membership
+    const result = resolveAssignees(task.project, requested);
+    if (result.error) {
+      return res.status(400).json({
+        message: result.error,
+        invalidAssignees: result.invalidAssignees
+      });
+    }
+
+    // Add new assignees without duplicating existing ones
+    const current = task.assignees.map(id => id.toString());
+    const added = result.assigneeIds.filter(id => !current.includes(id));
+    task.assignees.push(...added);
+    await task.save();
+
+    if (added.length > 0) {
+      await recordActivity({
+        actor: req.user._id,
+        project: task.project,
+        task,
+        entityType: 'task',
+        entityId: task._id,
+        action: 'assigned',
+        summary: task.title,
+        changes: [{ field: 'assignees', from: current, to: [...current, ...added] }]
+      });
+    }
+
+    await task.populate([
+      { path: 'project', select: 'name' },
+      { path: 'assignees', select: 'username email' }
+    ]);
+
+    res.json({
+      message: added.length > 0 ? 'Task assigned successfully.' : 'Users were already assigned.',
+      task
+    });
+
+  } catch (error) {
+    console.error('Task assign error:', error);
+    res.status(500).json({
+      message: 'Server error assigning task.'
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:taskId/assignees/:userId
+// @desc    Unassign a user from a task
+// @access  Private (editor and above)
+router.delete('/:taskId/assignees/:userId', verifyTaskAccess('editor'), async (req, res) => {
+  try {
+    const task = req.task;
+    const assigneeId = req.params.userId;
+
+    const current = task.assignees.map(id => id.toString());
+
+    if (!current.includes(assigneeId)) {
+      return res.status(404).json({
+        message: 'User is not assigned to this task.'
+      });
+    }
+
+    task.assignees = current.filter(id => id !== assigneeId);
+    await task.save();
+
+    await recordActivity({
+      actor: req.user._id,
+      project: task.project,
+      task,
+      entityType: 'task',
+      entityId: task._id,
+      action: 'unassigned',
+      summary: task.title,
+      changes: [{ field: 'assignees', from: current, to: current.filter(id => id !== assigneeId) }]
+    });
+
+    await task.populate([
+      { path: 'project', select: 'name' },
+      { path: 'assignees', select: 'username email' }
+    ]);
+
+    res.json({
+      message: 'User unassigned successfully.',
+      task
+    });
+
+  } catch (error) {
+    console.error('Task unassign error:', error);
+    res.status(500).json({
+      message: 'Server error unassigning task.'
+    });
+  }
+});
+
 // @route   PATCH /api/tasks/:taskId/status
 // @desc    Update only the status of a task (quick status change)
-// @access  Private (project owner only)
-router.patch('/:taskId/status', verifyTaskOwnership, async (req, res) => {
+// @access  Private (editor and above)
+router.patch('/:taskId/status', verifyTaskAccess('editor'), async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, overrideBlockers } = req.body;
     const task = req.task;
 
-    // Validate status
-    const validStatuses = ['To Do', 'In Progress', 'Done'];
-    if (!status || !validStatuses.includes(status)) {
+    if (!status) {
       return res.status(400).json({
-        message: 'Invalid status. Must be one of: To Do, In Progress, Done'
+        message: 'Please provide a status.'
       });
     }
 
+    // Validate the status against the project's workflow and blockers
+    const statusError = await checkStatusChange(task, status, { overrideBlockers });
+    if (statusError) {
+      return res.status(statusError.status).json(statusError.body);
+    }
+
     // Update only the status
+    const previousStatus = task.status;
     task.status = status;
     await task.save();
 
+    if (previousStatus !== status) {
+      await recordActivity({
+        actor: req.user._id,
+        project: task.project,
+        task,
+        entityType: 'task',
+        entityId: task._id,
+        action: 'status_changed',
+        summary: task.title,
+        changes: [{ field: 'status', from: previousStatus, to: status }]
+      });
+    }
+
+    const nextOccurrence = await afterStatusChange(task, previousStatus, req.user._id);
+
     // Populate project for response
     await task.populate('project', 'name');
 
@@ -197,8 +990,10 @@ router.patch('/:taskId/status', verifyTaskOwnership, async (req, res) => {
         title: task.title,
         status: task.status,
         project: task.project,
+        blockedBy: task.blockedBy,
         updatedAt: task.updatedAt
-      }
+      },
+      nextOccurrence: formatOccurrence(nextOccurrence)
     });
 
   } catch (error) {
@@ -209,86 +1004,383 @@ router.patch('/:taskId/status', verifyTaskOwnership, async (req, res) => {
   }
 });
 
-// @route   GET /api/tasks/stats
-// @desc    Get task statistics for the authenticated user
-// @access  Private
-router.get('/stats', async (req, res) => {
+// @route   PUT /api/tasks/:taskId/recurrence
+// @desc    Set or change the recurrence rule of a task's whole series
+// @access  Private (editor and above)
+router.put('/:taskId/recurrence', verifyTaskAccess('editor'), async (req, res) => {
   try {
-    const userId = req.user._id;
+    const { frequency, interval, endDate, count } = req.body;
+    const task = req.task;
+    const previous = task.recurrence ? task.recurrence.toObject() : null;
 
-    // Get all user's projects
-    const userProjects = await Project.find({ user: userId }).select('_id');
-    const projectIds = userProjects.map(p => p._id);
+    task.recurrence = {
+      frequency,
+      interval: interval || 1,
+      endDate: endDate ? new Date(endDate) : null,
+      count: count || null
+    };
+    await task.save();
 
-    // Aggregate task statistics
-    const stats = await Task.aggregate([
-      { $match: { project: { $in: projectIds } } },
-      {
-        $group: {
-          _id: null,
-          totalTasks: { $sum: 1 },
-          todoTasks: {
-            $sum: { $cond: [{ $eq: ['$status', 'To Do'] }, 1, 0] }
-          },
-          inProgressTasks: {
-            $sum: { $cond: [{ $eq: ['$status', 'In Progress'] }, 1, 0] }
-          },
-          doneTasks: {
-            $sum: { $cond: [{ $eq: ['$status', 'Done'] }, 1, 0] }
-          },
-          highPriorityTasks: {
-            $sum: { $cond: [{ $eq: ['$priority', 'High'] }, 1, 0] }
-          },
-          urgentTasks: {
-            $sum: { $cond: [{ $eq: ['$priority', 'Urgent'] }, 1, 0] }
-          },
-          overdueTasks: {
-            $sum: {
-              $cond: [
-                {
-                  $and: [
-                    { $ne: ['$dueDate', null] },
-                    { $lt: ['$dueDate', new Date()] },
-                    { $ne: ['$status', 'Done'] }
-                  ]
-                },
-                1,
-                0
-              ]
-            }
-          }
-        }
+    // Every occurrence in the series shares the rule
+    const rule = task.recurrence.toObject();
+    const { modifiedCount } = await Task.updateMany(
+      { seriesId: task.seriesId, _id: { $ne: task._id } },
+      { $set: { recurrence: rule } }
+    );
+
+    await recordActivity({
+      actor: req.user._id,
+      project: task.project,
+      task,
+      entityType: 'task',
+      entityId: task._id,
+      action: 'updated',
+      summary: task.title,
+      changes: [{ field: 'recurrence', from: previous, to: rule }]
+    });
+
+    res.json({
+      message: 'Task recurrence updated successfully.',
+      recurrence: task.recurrence,
+      seriesId: task.seriesId,
+      occurrence: task.occurrence,
+      updatedOccurrences: modifiedCount + 1
+    });
+
+  } catch (error) {
+    console.error('Task recurrence update error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error.',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during task recurrence update.'
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:taskId/recurrence
+// @desc    Stop a recurring series; existing occurrences are kept
+// @access  Private (editor and above)
+router.delete('/:taskId/recurrence', verifyTaskAccess('editor'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    if (!task.recurrence) {
+      return res.status(400).json({
+        message: 'Task does not recur.'
+      });
+    }
+
+    const previous = task.recurrence.toObject();
+    const { modifiedCount } = await Task.updateMany(
+      { seriesId: task.seriesId },
+      { $set: { recurrence: null } }
+    );
+
+    await recordActivity({
+      actor: req.user._id,
+      project: task.project,
+      task,
+      entityType: 'task',
+      entityId: task._id,
+      action: 'updated',
+      summary: task.title,
+      changes: [{ field: 'recurrence', from: previous, to: null }]
+    });
+
+    res.json({
+      message: 'Task recurrence stopped successfully.',
+      seriesId: task.seriesId,
+      updatedOccurrences: modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Task recurrence stop error:', error);
+    res.status(500).json({
+      message: 'Server error stopping task recurrence.'
+    });
+  }
+});
+
+// @route   POST /api/tasks/:taskId/move
+// @desc    Move a task to a position in a board column, optionally changing its status
+// @access  Private (editor and above)
+router.post('/:taskId/move', verifyTaskAccess('editor'), async (req, res) => {
+  try {
+    const { status, beforeTaskId, afterTaskId, overrideBlockers } = req.body;
+    const task = req.task;
+    const projectId = task.project._id;
+    const targetStatus = status || task.status;
+
+    if ([beforeTaskId, afterTaskId].some(id => id && id.toString() === task._id.toString())) {
+      return res.status(400).json({
+        message: 'A task cannot be positioned relative to itself.'
+      });
+    }
+
+    // Validate the status against the project's workflow and blockers
+    const statusError = await checkStatusChange(task, targetStatus, { overrideBlockers });
+    if (statusError) {
+      return res.status(statusError.status).json(statusError.body);
+    }
+
+    // Neighbors are compared by rank, so the target column must be fully ranked
+    await Task.ensureRanks(projectId, targetStatus);
+
+    const findNeighbor = (id) => (id
+      ? Task.findOne({ _id: id, project: projectId, status: targetStatus }).select('rank')
+      : null);
+    const findNeighbors = () => Promise.all([findNeighbor(beforeTaskId), findNeighbor(afterTaskId)]);
+    let [beforeTask, afterTask] = await findNeighbors();
+
+    if ((beforeTaskId && !beforeTask) || (afterTaskId && !afterTask)) {
+      return res.status(400).json({
+        message: `Neighbor tasks must belong to the same project and have status "${targetStatus}".`
+      });
+    }
+
+    // The task goes between afterTask (above) and beforeTask (below)
+    const others = { project: projectId, status: targetStatus, _id: { $ne: task._id } };
+    let rank;
+
+    // Tasks saved at the same moment can share a rank, leaving no rank
+    // between a neighbor and the task next to it, so spread the column out
+    const neighbors = [afterTask, beforeTask].filter(Boolean);
+    const tied = neighbors.length > 0 && (
+      (afterTask && beforeTask && afterTask.rank === beforeTask.rank) ||
+      await Task.exists({
+        ...others,
+        _id: { $nin: [task._id, ...neighbors.map(neighbor => neighbor._id)] },
+        rank: { $in: neighbors.map(neighbor => neighbor.rank) }
+      })
+    );
+    if (tied) {
+      await Task.spreadRanks(projectId, targetStatus);
+      [beforeTask, afterTask] = await findNeighbors();
+    }
+
+    if (afterTask && beforeTask) {
+      if (afterTask.rank >= beforeTask.rank) {
+        return res.status(400).json({
+          message: 'afterTaskId must be positioned above beforeTaskId.'
+        });
       }
-    ]);
+      rank = rankBetween(afterTask.rank, beforeTask.rank);
+    } else if (afterTask) {
+      const next = await Task.findOne({ ...others, rank: { $gt: afterTask.rank } }).sort({ rank: 1 }).select('rank');
+      rank = rankBetween(afterTask.rank, next ? next.rank : null);
+    } else if (beforeTask) {
+      const previous = await Task.findOne({ ...others, rank: { $lt: beforeTask.rank } }).sort({ rank: -1 }).select('rank');
+      rank = rankBetween(previous ? previous.rank : null, beforeTask.rank);
+    } else {
+      rank = await Task.nextRank(projectId, targetStatus, task._id);
+    }
 
-    const taskStats = stats[0] || {
-      totalTasks: 0,
-      todoTasks: 0,
-      inProgressTasks: 0,
-      doneTasks: 0,
-      highPriorityTasks: 0,
-      urgentTasks: 0,
-      overdueTasks: 0
-    };
+    const previousStatus = task.status;
+    task.status = targetStatus;
+    task.rank = rank;
+    await task.save();
+
+    if (previousStatus !== targetStatus) {
+      await recordActivity({
+        actor: req.user._id,
+        project: task.project,
+        task,
+        entityType: 'task',
+        entityId: task._id,
+        action: 'status_changed',
+        summary: task.title,
+        changes: [{ field: 'status', from: previousStatus, to: targetStatus }]
+      });
+    }
 
-    // Calculate completion rate
-    const completionRate = taskStats.totalTasks > 0 
-      ? Math.round((taskStats.doneTasks / taskStats.totalTasks) * 100)
-      : 0;
+    const nextOccurrence = await afterStatusChange(task, previousStatus, req.user._id);
 
     res.json({
-      message: 'Task statistics retrieved successfully.',
-      stats: {
-        ...taskStats,
-        completionRate: `${completionRate}%`,
-        projectCount: userProjects.length
+      message: 'Task moved successfully.',
+      task: {
+        id: task._id,
+        title: task.title,
+        status: task.status,
+        rank: task.rank,
+        project: {
+          _id: task.project._id,
+          name: task.project.name
+        },
+        updatedAt: task.updatedAt
+      },
+      nextOccurrence: formatOccurrence(nextOccurrence)
+    });
+
+  } catch (error) {
+    console.error('Task move error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID format.'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during task move.'
+    });
+  }
+});
+
+// @route   POST /api/tasks/:taskId/transfer
+// @desc    Move a task, with its subtasks and comments, to another project
+// @access  Private (editor and above on both projects)
+router.post('/:taskId/transfer', verifyTaskAccess('editor'), async (req, res) => {
+  try {
+    const { projectId } = req.body;
+    const task = req.task;
+    const sourceProject = task.project;
+
+    if (!projectId) {
+      return res.status(400).json({
+        message: 'Please provide the projectId to move the task to.'
+      });
+    }
+
+    const target = await findTargetProject(projectId, req.user._id);
+    if (target.error) {
+      return res.status(target.error.status).json(target.error.body);
+    }
+
+    if (target.project._id.toString() === sourceProject._id.toString()) {
+      return res.status(400).json({
+        message: 'Task already belongs to this project.'
+      });
+    }
+
+    const before = snapshot(task, TASK_FIELDS);
+    const { movedIds } = await task.moveToProject(target.project);
+
+    // Log the move on both projects so each one's activity, webhooks and
+    // live subscribers learn that the task arrived or left
+    const moveChanges = [
+      { field: 'project', from: sourceProject.name, to: target.project.name },
+      ...diffSnapshots(before, snapshot(task, TASK_FIELDS))
+    ];
+    for (const project of [sourceProject, target.project]) {
+      await recordActivity({
+        actor: req.user._id,
+        project,
+        task,
+        entityType: 'task',
+        entityId: task._id,
+        action: 'updated',
+        summary: task.title,
+        changes: moveChanges
+      });
+    }
+
+    await task.populate([
+      { path: 'project', select: 'name' },
+      { path: 'assignees', select: 'username email' }
+    ]);
+
+    res.json({
+      message: 'Task moved successfully.',
+      task,
+      movedSubtasksCount: movedIds.length - 1
+    });
+
+  } catch (error) {
+    console.error('Task transfer error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error.',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during task transfer.'
+    });
+  }
+});
+
+// @route   POST /api/tasks/:taskId/duplicate
+// @desc    Copy a task into the same or another project
+// @access  Private (editor and above on both projects)
+router.post('/:taskId/duplicate', verifyTaskAccess('editor'), async (req, res) => {
+  try {
+    const { projectId } = req.body;
+    const task = req.task;
+    let targetProject = task.project;
+
+    // Copies go to the task's own project unless another one is given
+    if (projectId) {
+      const target = await findTargetProject(projectId, req.user._id);
+      if (target.error) {
+        return res.status(target.error.status).json(target.error.body);
       }
+      targetProject = target.project;
+    }
+
+    // A past due date would fail validation, so it is not copied
+    const warnings = [];
+    let dueDate = task.dueDate;
+    if (dueDate && dueDate < new Date()) {
+      warnings.push(`Due date ${dueDate.toISOString()} is in the past and was not copied.`);
+      dueDate = undefined;
+    }
+
+    const copy = new Task({
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      dueDate,
+      project: targetProject
+    });
+
+    await copy.save();
+
+    await recordActivity({
+      actor: req.user._id,
+      project: targetProject,
+      task: copy,
+      entityType: 'task',
+      entityId: copy._id,
+      action: 'created',
+      summary: copy.title,
+      changes: diffSnapshots({}, snapshot(copy, TASK_FIELDS))
+    });
+
+    await copy.populate('project', 'name');
+
+    res.status(201).json({
+      message: 'Task duplicated successfully.',
+      task: copy,
+      duplicatedFrom: task._id,
+      warnings
     });
 
   } catch (error) {
-    console.error('Task stats error:', error);
+    console.error('Task duplication error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error.',
+        errors
+      });
+    }
+
     res.status(500).json({
-      message: 'Server error fetching task statistics.'
+      message: 'Server error during task duplication.'
     });
   }
 });
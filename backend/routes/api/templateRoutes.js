@@ -0,0 +1,183 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Project = require('../../models/Project');
+const ProjectTemplate = require('../../models/ProjectTemplate');
+const { authenticateToken } = require('../../utils/auth');
+const { captureTasks } = require('../../utils/projectCopy');
+
+const router = express.Router();
+
+// Apply authentication middleware to all template routes
+router.use(authenticateToken);
+
+// Summary of a template without its task list
+const formatTemplate = (template) => ({
+  _id: template._id,
+  name: template.name,
+  description: template.description,
+  sourceProject: template.sourceProject,
+  taskCount: template.tasks.length,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt
+});
+
+// @route   POST /api/templates
+// @desc    Save an existing project and its tasks as a template
+// @access  Private (editor and above on the project)
+router.post('/', async (req, res) => {
+  try {
+    const { projectId, name, description } = req.body;
+
+    if (!projectId || !mongoose.Types.ObjectId.isValid(projectId)) {
+      return res.status(400).json({
+        message: 'Please provide a valid projectId.'
+      });
+    }
+
+    const project = await Project.findById(projectId);
+    const role = project ? project.getRole(req.user._id) : null;
+
+    if (!role) {
+      return res.status(404).json({
+        message: 'Project not found.'
+      });
+    }
+
+    if (!Project.roleSatisfies(role, 'editor')) {
+      return res.status(403).json({
+        message: 'Access denied. This action requires the editor role.'
+      });
+    }
+
+    const template = new ProjectTemplate({
+      name: (name || project.name).trim(),
+      description: (description || project.description).trim(),
+      user: req.user._id,
+      sourceProject: project._id,
+      workflow: project.workflow.toObject(),
+      tasks: await captureTasks(project)
+    });
+
+    await template.save();
+
+    res.status(201).json({
+      message: 'Template created successfully.',
+      template: formatTemplate(template)
+    });
+
+  } catch (error) {
+    console.error('Template creation error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error.',
+        errors
+      });
+    }
+
+    // Handle duplicate template name for user
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: 'You already have a template with this name.'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during template creation.'
+    });
+  }
+});
+
+// @route   GET /api/templates
+// @desc    Get all templates of the authenticated user
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const templates = await ProjectTemplate.find({ user: req.user._id }).sort({ name: 1 });
+
+    res.json({
+      message: 'Templates retrieved successfully.',
+      count: templates.length,
+      templates: templates.map(formatTemplate)
+    });
+
+  } catch (error) {
+    console.error('Templates fetch error:', error);
+    res.status(500).json({
+      message: 'Server error fetching templates.'
+    });
+  }
+});
+
+// @route   GET /api/templates/:id
+// @desc    Get a template with its tasks
+// @access  Private (template owner only)
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await ProjectTemplate.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!template) {
+      return res.status(404).json({
+        message: 'Template not found.'
+      });
+    }
+
+    res.json({
+      message: 'Template retrieved successfully.',
+      template
+    });
+
+  } catch (error) {
+    console.error('Template fetch error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid template ID format.'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error fetching template.'
+    });
+  }
+});
+
+// @route   DELETE /api/templates/:id
+// @desc    Delete a template (projects created from it are not affected)
+// @access  Private (template owner only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await ProjectTemplate.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!template) {
+      return res.status(404).json({
+        message: 'Template not found.'
+      });
+    }
+
+    res.json({
+      message: 'Template deleted successfully.',
+      deletedTemplate: {
+        id: template._id,
+        name: template.name
+      }
+    });
+
+  } catch (error) {
+    console.error('Template deletion error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid template ID format.'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during template deletion.'
+    });
+  }
+});
+
+module.exports = router;
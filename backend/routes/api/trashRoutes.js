@@ -0,0 +1,332 @@
+const express = require('express');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const { authenticateToken, checkTaskAccess } = require('../../utils/auth');
+const { recordActivity } = require('../../utils/activity');
+const { TRASH_RETENTION_DAYS, trashExpiresAt } = require('../../utils/trash');
+
+const router = express.Router();
+
+// Apply authentication middleware to all trash routes
+router.use(authenticateToken);
+
+// Count trashed tasks grouped by the item they were trashed with
+const countTrashedWith = async (ids) => {
+  if (ids.length === 0) return new Map();
+
+  const counts = await Task.aggregate([
+    { $match: { trashedWith: { $in: ids } } },
+    { $group: { _id: '$trashedWith', count: { $sum: 1 } } }
+  ]).option({ withDeleted: true });
+
+  return new Map(counts.map(group => [group._id.toString(), group.count]));
+};
+
+// Find a trashed project the user owns.
+// Returns { project }, or { error } describing the error response.
+const findTrashedProject = async (projectId, userId) => {
+  const project = await Project.findOne({ _id: projectId, deletedAt: { $ne: null } });
+
+  if (!project || !project.getRole(userId)) {
+    return { error: { status: 404, body: { message: 'Project not found in trash.' } } };
+  }
+
+  if (!project.hasRole(userId, 'owner')) {
+    return { error: { status: 403, body: { message: 'Access denied. This action requires the owner role.' } } };
+  }
+
+  return { project };
+};
+
+// Find a task the user can edit that was moved to the trash on its own.
+// Returns { task }, or { error } describing the error response.
+const findTrashedTask = async (taskId, userId) => {
+  const task = await Task.findOne({ _id: taskId, deletedAt: { $ne: null } })
+    .populate('project', 'name user members workflow archivedAt');
+
+  if (!task) {
+    return { error: { status: 404, body: { message: 'Task not found in trash.' } } };
+  }
+
+  // The populated project is null while the project itself is trashed
+  if (!task.project) {
+    return {
+      error: {
+        status: 409,
+        body: { message: 'This task\'s project is in the trash. Restore the project instead.' }
+      }
+    };
+  }
+
+  const accessError = checkTaskAccess(task, userId, 'editor');
+  if (accessError) {
+    return { error: accessError };
+  }
+
+  if (task.trashedWith) {
+    return {
+      error: {
+        status: 409,
+        body: { message: 'This task was deleted together with its parent task. Restore the parent task instead.' }
+      }
+    };
+  }
+
+  return { task };
+};
+
+// @route   GET /api/trash
+// @desc    List trashed projects the user owns and trashed tasks in projects they can edit
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const [trashedProjects, activeProjects] = await Promise.all([
+      Project.find({ ...Project.accessFilter(userId), deletedAt: { $ne: null } })
+        .populate('deletedBy', 'username email')
+        .sort({ deletedAt: -1 }),
+      Project.find(Project.accessFilter(userId)).select('user members')
+    ]);
+
+    const ownedProjects = trashedProjects.filter(project => project.hasRole(userId, 'owner'));
+    const editableIds = activeProjects
+      .filter(project => project.hasRole(userId, 'editor'))
+      .map(project => project._id);
+
+    // Tasks trashed with a parent task are listed under that task
+    const tasks = await Task.find({
+      project: { $in: editableIds },
+      deletedAt: { $ne: null },
+      trashedWith: null
+    })
+      .populate('project', 'name')
+      .populate('deletedBy', 'username email')
+      .sort({ deletedAt: -1 });
+
+    const trashedCounts = await countTrashedWith([
+      ...ownedProjects.map(project => project._id),
+      ...tasks.map(task => task._id)
+    ]);
+
+    res.json({
+      message: 'Trash retrieved successfully.',
+      retentionDays: TRASH_RETENTION_DAYS,
+      projects: ownedProjects.map(project => ({
+        _id: project._id,
+        name: project.name,
+        description: project.description,
+        deletedAt: project.deletedAt,
+        deletedBy: project.deletedBy,
+        expiresAt: trashExpiresAt(project),
+        taskCount: trashedCounts.get(project._id.toString()) || 0
+      })),
+      tasks: tasks.map(task => ({
+        _id: task._id,
+        title: task.title,
+        status: task.status,
+        project: task.project,
+        deletedAt: task.deletedAt,
+        deletedBy: task.deletedBy,
+        expiresAt: trashExpiresAt(task),
+        subtaskCount: trashedCounts.get(task._id.toString()) || 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Trash fetch error:', error);
+    res.status(500).json({
+      message: 'Server error fetching trash.'
+    });
+  }
+});
+
+// @route   POST /api/trash/projects/:id/restore
+// @desc    Restore a trashed project together with the tasks trashed with it
+// @access  Private (owner only)
+router.post('/projects/:id/restore', async (req, res) => {
+  try {
+    const { project, error } = await findTrashedProject(req.params.id, req.user._id);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const { restoredTasksCount } = await project.restoreFromTrash();
+
+    await recordActivity({
+      actor: req.user._id,
+      project,
+      entityType: 'project',
+      entityId: project._id,
+      action: 'restored',
+      summary: project.name
+    });
+
+    res.json({
+      message: 'Project restored successfully.',
+      project: {
+        id: project._id,
+        name: project.name,
+        restoredTasksCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Project restore error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid project ID format.'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during project restore.'
+    });
+  }
+});
+
+// @route   DELETE /api/trash/projects/:id
+// @desc    Permanently delete a trashed project with its tasks and comments
+// @access  Private (owner only)
+router.delete('/projects/:id', async (req, res) => {
+  try {
+    const { project, error } = await findTrashedProject(req.params.id, req.user._id);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    // Delete the project (document hook removes its tasks and comments)
+    await project.deleteOne();
+
+    await recordActivity({
+      actor: req.user._id,
+      project,
+      entityType: 'project',
+      entityId: project._id,
+      action: 'purged',
+      summary: project.name
+    });
+
+    res.json({
+      message: 'Project permanently deleted.',
+      purgedProject: {
+        id: project._id,
+        name: project.name
+      }
+    });
+
+  } catch (error) {
+    console.error('Project purge error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid project ID format.'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during project purge.'
+    });
+  }
+});
+
+// @route   POST /api/trash/tasks/:id/restore
+// @desc    Restore a trashed task together with the subtasks trashed with it
+// @access  Private (editor and above)
+router.post('/tasks/:id/restore', async (req, res) => {
+  try {
+    const { task, error } = await findTrashedTask(req.params.id, req.user._id);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const { restoredSubtasksCount } = await task.restoreFromTrash();
+
+    await recordActivity({
+      actor: req.user._id,
+      project: task.project,
+      task,
+      entityType: 'task',
+      entityId: task._id,
+      action: 'restored',
+      summary: task.title
+    });
+
+    res.json({
+      message: 'Task restored successfully.',
+      task: {
+        id: task._id,
+        title: task.title,
+        status: task.status,
+        parent: task.parent,
+        project: {
+          _id: task.project._id,
+          name: task.project.name
+        },
+        restoredSubtasksCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Task restore error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID format.'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during task restore.'
+    });
+  }
+});
+
+// @route   DELETE /api/trash/tasks/:id
+// @desc    Permanently delete a trashed task with its subtasks and comments
+// @access  Private (editor and above)
+router.delete('/tasks/:id', async (req, res) => {
+  try {
+    const { task, error } = await findTrashedTask(req.params.id, req.user._id);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    // Delete the task (document hook removes its subtasks and comments)
+    await task.deleteOne();
+
+    await recordActivity({
+      actor: req.user._id,
+      project: task.project,
+      task,
+      entityType: 'task',
+      entityId: task._id,
+      action: 'purged',
+      summary: task.title
+    });
+
+    res.json({
+      message: 'Task permanently deleted.',
+      purgedTask: {
+        id: task._id,
+        title: task.title
+      }
+    });
+
+  } catch (error) {
+    console.error('Task purge error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID format.'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during task purge.'
+    });
+  }
+});
+
+module.exports = router;
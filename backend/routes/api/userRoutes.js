@@ -1,6 +1,8 @@
 const express = require('express');
 const User = require('../../models/User');
-const { generateToken } = require('../../utils/auth');
+const Session = require('../../models/Session');
+const { issueTokens, rotateRefreshToken, authenticateToken } = require('../../utils/auth');
+const { EXPORT_FORMATS, streamAccountExport } = require('../../utils/taskExport');
 
 const router = express.Router();
 
@@ -36,13 +38,14 @@ router.post('/register', async (req, res) => {
     // Save user to database
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Start a session with an access token and refresh token
+    const { token, refreshToken } = await issueTokens(user._id, req);
 
-    // Return success response with token and user info
+    // Return success response with tokens and user info
     res.status(201).json({
       message: 'User registered successfully.',
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
@@ -78,7 +81,7 @@ router.post('/register', async (req, res) => {
 });
 
 // @route   POST /api/users/login
-// @desc    Login user and return JWT token
+// @desc    Login user and return access and refresh tokens
 // @access  Public
 router.post('/login', async (req, res) => {
   try {
@@ -111,13 +114,14 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Start a session with an access token and refresh token
+    const { token, refreshToken } = await issueTokens(user._id, req);
 
-    // Return success response with token and user info
+    // Return success response with tokens and user info
     res.json({
       message: 'Login successful.',
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
@@ -134,10 +138,144 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/users/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        message: 'Please provide a refresh token.'
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken);
+
+    if (result.error) {
+      return res.status(401).json({
+        message: result.error
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully.',
+      ...result.tokens
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      message: 'Server error during token refresh.'
+    });
+  }
+});
+
+// @route   POST /api/users/logout
+// @desc    Revoke the current session and its refresh token
+// @access  Private
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const session = req.authSession;
+
+    session.revokedAt = new Date();
+    session.revokedReason = 'logout';
+    await session.save();
+
+    res.json({
+      message: 'Logged out successfully.'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      message: 'Server error during logout.'
+    });
+  }
+});
+
+// @route   POST /api/users/logout-all
+// @desc    Revoke every session of the current user
+// @access  Private
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+
+    res.json({
+      message: 'Logged out of all sessions successfully.',
+      revokedSessions: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      message: 'Server error during logout.'
+    });
+  }
+});
+
+// @route   PUT /api/users/password
+// @desc    Change password and revoke all existing sessions
+// @access  Private
+router.put('/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    // Validate required fields
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        message: 'Please provide current password and new password.'
+      });
+    }
+
+    // req.user excludes the password, so load it for comparison
+    const user = await User.findById(req.user._id);
+    const isPasswordValid = await user.comparePassword(currentPassword);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        message: 'Current password is incorrect.'
+      });
+    }
+
+    // Save new password (hashed by pre-save hook)
+    user.password = newPassword;
+    await user.save();
+
+    // Old tokens may be compromised, so every session is revoked
+    await Session.revokeAllForUser(user._id, 'password_change');
+
+    const { token, refreshToken } = await issueTokens(user._id, req);
+
+    res.json({
+      message: 'Password changed successfully. All other sessions have been logged out.',
+      token,
+      refreshToken
+    });
+
+  } catch (error) {
+    console.error('Password change error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error.',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during password change.'
+    });
+  }
+});
+
 // @route   GET /api/users/profile
 // @desc    Get current user profile
 // @access  Private
-router.get('/profile', require('../../utils/auth').authenticateToken, async (req, res) => {
+router.get('/profile', authenticateToken, async (req, res) => {
   try {
     // User is already available from auth middleware
     res.json({
@@ -145,6 +283,8 @@ router.get('/profile', require('../../utils/auth').authenticateToken, async (req
         id: req.user._id,
         username: req.user.username,
         email: req.user.email,
+        reminderLeadHours: req.user.reminderLeadHours,
+        emailNotifications: req.user.emailNotifications,
         createdAt: req.user.createdAt,
         updatedAt: req.user.updatedAt
       }
@@ -157,4 +297,78 @@ router.get('/profile', require('../../utils/auth').authenticateToken, async (req
   }
 });
 
+// @route   PUT /api/users/preferences
+// @desc    Update notification preferences: reminder lead time and reminder emails
+// @access  Private
+router.put('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const { reminderLeadHours, emailNotifications } = req.body;
+
+    if (emailNotifications !== undefined && typeof emailNotifications !== 'boolean') {
+      return res.status(400).json({
+        message: 'emailNotifications must be true or false.'
+      });
+    }
+
+    const user = req.user;
+    if (reminderLeadHours !== undefined) user.reminderLeadHours = reminderLeadHours;
+    if (emailNotifications !== undefined) user.emailNotifications = emailNotifications;
+    await user.save();
+
+    res.json({
+      message: 'Preferences updated successfully.',
+      preferences: {
+        reminderLeadHours: user.reminderLeadHours,
+        emailNotifications: user.emailNotifications
+      }
+    });
+
+  } catch (error) {
+    console.error('Preferences update error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error.',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error during preferences update.'
+    });
+  }
+});
+
+// @route   GET /api/users/export
+// @desc    Download every project the user can access, with all their tasks, as CSV or JSON
+// @access  Private
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        message: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    await streamAccountExport(res, req.user, format);
+
+  } catch (error) {
+    console.error('Account export error:', error);
+
+    // Once the download has started, cutting it short is the only way to
+    // tell the client it is incomplete
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      message: 'Server error during account export.'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
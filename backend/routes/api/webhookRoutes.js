@@ -0,0 +1,273 @@
+const express = require('express');
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { verifyProjectAccess } = require('../../utils/auth');
+const { parsePagination, paginationQuery, paginateResults } = require('../../utils/pagination');
+const { EVENT_TYPES } = require('../../utils/events');
+const { generateSecret, redeliver } = require('../../utils/webhooks');
+
+// Mounted under /api/projects/:id/webhooks, so id comes from the parent router
+const router = express.Router({ mergeParams: true });
+
+// Webhooks are project settings rather than project content, so owners can
+// manage them on archived projects too
+const ownerAccess = verifyProjectAccess('owner', 'id', { allowArchived: true });
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Find a webhook of the project in the route.
+// Returns { webhook }, or { error } describing the error response.
+const findWebhook = async (req) => {
+  const webhook = await Webhook.findOne({ _id: req.params.webhookId, project: req.resource._id });
+
+  if (!webhook) {
+    return { error: { status: 404, body: { message: 'Webhook not found.' } } };
+  }
+
+  return { webhook };
+};
+
+// Handle errors shared by the webhook routes
+const handleWebhookError = (res, error, context) => {
+  console.error(`Webhook ${context} error:`, error);
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error.',
+      errors
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid ID format.'
+    });
+  }
+
+  if (error.name === 'CursorError') {
+    return res.status(400).json({
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error during webhook ${context}.`
+  });
+};
+
+// @route   GET /api/projects/:id/webhooks
+// @desc    List a project's webhooks
+// @access  Private (owner only)
+router.get('/', ownerAccess, async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ project: req.resource._id }).sort({ createdAt: 1 });
+
+    res.json({
+      message: 'Webhooks retrieved successfully.',
+      eventTypes: EVENT_TYPES,
+      count: webhooks.length,
+      webhooks
+    });
+
+  } catch (error) {
+    handleWebhookError(res, error, 'fetch');
+  }
+});
+
+// @route   POST /api/projects/:id/webhooks
+// @desc    Subscribe a URL to a project's events
+// @access  Private (owner only)
+router.post('/', ownerAccess, async (req, res) => {
+  try {
+    const { url, events, description, secret } = req.body;
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      return res.status(400).json({
+        message: 'Secret must be a string of at least 16 characters.'
+      });
+    }
+
+    const webhook = new Webhook({
+      project: req.resource._id,
+      createdBy: req.user._id,
+      url,
+      events: events === undefined ? ['*'] : [].concat(events),
+      description,
+      secret: secret || generateSecret()
+    });
+    await webhook.save();
+
+    // The secret is only shown when it is created or changed
+    res.status(201).json({
+      message: 'Webhook created successfully. Store the secret now to verify signatures.',
+      webhook: {
+        ...webhook.toObject(),
+        secret: webhook.secret
+      }
+    });
+
+  } catch (error) {
+    handleWebhookError(res, error, 'creation');
+  }
+});
+
+// @route   GET /api/projects/:id/webhooks/:webhookId
+// @desc    Get a webhook
+// @access  Private (owner only)
+router.get('/:webhookId', ownerAccess, async (req, res) => {
+  try {
+    const { webhook, error } = await findWebhook(req);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    res.json({
+      message: 'Webhook retrieved successfully.',
+      webhook
+    });
+
+  } catch (error) {
+    handleWebhookError(res, error, 'fetch');
+  }
+});
+
+// @route   PUT /api/projects/:id/webhooks/:webhookId
+// @desc    Update a webhook's URL, events, description or active flag, or rotate its secret
+// @access  Private (owner only)
+router.put('/:webhookId', ownerAccess, async (req, res) => {
+  try {
+    const { url, events, description, active, rotateSecret } = req.body;
+
+    const { webhook, error } = await findWebhook(req);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [].concat(events);
+    if (description !== undefined) webhook.description = description;
+    if (active !== undefined) webhook.active = Boolean(active);
+    if (rotateSecret) webhook.secret = generateSecret();
+
+    await webhook.save();
+
+    res.json({
+      message: rotateSecret
+        ? 'Webhook updated successfully. Store the new secret now to verify signatures.'
+        : 'Webhook updated successfully.',
+      webhook: {
+        ...webhook.toObject(),
+        ...(rotateSecret && { secret: webhook.secret })
+      }
+    });
+
+  } catch (error) {
+    handleWebhookError(res, error, 'update');
+  }
+});
+
+// @route   DELETE /api/projects/:id/webhooks/:webhookId
+// @desc    Delete a webhook and its delivery log
+// @access  Private (owner only)
+router.delete('/:webhookId', ownerAccess, async (req, res) => {
+  try {
+    const { webhook, error } = await findWebhook(req);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({
+      message: 'Webhook deleted successfully.'
+    });
+
+  } catch (error) {
+    handleWebhookError(res, error, 'deletion');
+  }
+});
+
+// @route   GET /api/projects/:id/webhooks/:webhookId/deliveries
+// @desc    Get a webhook's delivery log, newest first
+// @access  Private (owner only)
+router.get('/:webhookId/deliveries', ownerAccess, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: `Invalid status. Must be one of: ${DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    const { webhook, error } = await findWebhook(req);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const sortSpec = [['_id', -1]];
+    const page = parsePagination(req.query);
+    const query = paginationQuery(
+      { webhook: webhook._id, ...(status && { status }) },
+      sortSpec,
+      page.cursor
+    );
+
+    // Fetch one extra delivery to know whether another page exists
+    const docs = await WebhookDelivery.find(query.filter)
+      .sort(query.sort)
+      .limit(page.limit + 1);
+    const { items: deliveries, nextCursor } = paginateResults(docs, page.limit, sortSpec);
+
+    res.json({
+      message: 'Webhook deliveries retrieved successfully.',
+      count: deliveries.length,
+      nextCursor,
+      deliveries
+    });
+
+  } catch (error) {
+    handleWebhookError(res, error, 'delivery log fetch');
+  }
+});
+
+// @route   POST /api/projects/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+// @desc    Send a past delivery again and return the outcome of the new attempt
+// @access  Private (owner only)
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', ownerAccess, async (req, res) => {
+  try {
+    const { webhook, error } = await findWebhook(req);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const original = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id });
+    if (!original) {
+      return res.status(404).json({
+        message: 'Delivery not found.'
+      });
+    }
+
+    if (!webhook.active) {
+      return res.status(409).json({
+        message: 'This webhook is disabled. Enable it before redelivering.'
+      });
+    }
+
+    const delivery = await redeliver(original);
+
+    res.status(201).json({
+      message: delivery.status === 'succeeded'
+        ? 'Delivery sent successfully.'
+        : 'Delivery failed and will be retried.',
+      delivery
+    });
+
+  } catch (error) {
+    handleWebhookError(res, error, 'redelivery');
+  }
+});
+
+module.exports = router;
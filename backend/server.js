@@ -8,6 +8,20 @@ const connectDB = require('./config/database');
 const userRoutes = require('./routes/api/userRoutes');
 const projectRoutes = require('./routes/api/projectRoutes');
 const taskRoutes = require('./routes/api/taskRoutes');
+const searchRoutes = require('./routes/api/searchRoutes');
+const templateRoutes = require('./routes/api/templateRoutes');
+const trashRoutes = require('./routes/api/trashRoutes');
+const dashboardRoutes = require('./routes/api/dashboardRoutes');
+const calendarRoutes = require('./routes/api/calendarRoutes');
+const notificationRoutes = require('./routes/api/notificationRoutes');
+
+// Import body size limit for task imports
+const { IMPORT_MAX_SIZE } = require('./utils/taskImport');
+
+// Import background jobs
+const startTrashPurge = require('./jobs/trashPurge');
+const startWebhookDelivery = require('./jobs/webhookDelivery');
+const startReminders = require('./jobs/reminders');
 
 // Initialize Express app
 const app = express();
@@ -16,12 +30,24 @@ const app = express();
 connectDB();
 
 // Middleware
+// Imports may be larger than other request bodies, and CSV ones are sent as text
+app.use(
+  '/api/projects/:id/import',
+  express.json({ limit: IMPORT_MAX_SIZE }),
+  express.text({ type: 'text/csv', limit: IMPORT_MAX_SIZE })
+);
 app.use(express.json({ extended: false })); // Parse JSON bodies
 
 // Define API routes
 app.use('/api/users', userRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -44,4 +70,9 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🚀 Pro-Tasker-v1 API server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Start background jobs
+  startTrashPurge();
+  startWebhookDelivery();
+  startReminders();
 });
\ No newline at end of file
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const { parsePagination, paginationQuery, paginateResults } = require('./pagination');
+const { activityEvent, publishEvent } = require('./events');
+
+// Fields tracked in activity diffs
+const PROJECT_FIELDS = ['name', 'description', 'status'];
+const TASK_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'assignees', 'parent', 'blockedBy'];
+
+// Convert a document value into a plain JSON-friendly value for comparison
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value._id) return value._id.toString(); // Populated reference
+  return value;
+};
+
+// Capture the current values of the given fields on a document
+const snapshot = (doc, fields) => {
+  return fields.reduce((acc, field) => {
+    acc[field] = normalizeValue(doc.get ? doc.get(field) : doc[field]);
+    return acc;
+  }, {});
+};
+
+// Build a list of { field, from, to } changes between two snapshots
+const diffSnapshots = (before = {}, after = {}) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({
+      field,
+      from: before[field] ?? null,
+      to: after[field] ?? null
+    }));
+};
+
+// Build an activity log document; project and task may be documents or IDs
+const activityDoc = ({ actor, project, task, entityType, entityId, action, summary, changes = [] }) => ({
+  actor,
+  project: project && project._id ? project._id : project,
+  task: task && task._id ? task._id : task,
+  entityType,
+  entityId,
+  action,
+  summary: summary ? summary.slice(0, 200) : undefined,
+  changes
+});
+
+// Append an entry to the activity log and publish it as an event.
+// Logging failures are reported but never fail the request that caused them.
+const recordActivity = async (entry) => {
+  try {
+    const activity = await Activity.create(activityDoc(entry));
+
+    // Let webhooks and other listeners know about the change
+    publishEvent(activityEvent(activity));
+    return activity;
+  } catch (error) {
+    console.error('Activity log error:', error);
+    return null;
+  }
+};
+
+// Append many entries at once, e.g. one per task of an import, and publish
+// each as an event. Failures are reported like recordActivity's.
+const recordActivities = async (entries) => {
+  if (entries.length === 0) return [];
+
+  try {
+    const activities = await Activity.insertMany(entries.map(activityDoc));
+
+    activities.forEach(activity => publishEvent(activityEvent(activity)));
+    return activities;
+  } catch (error) {
+    console.error('Activity log error:', error);
+    return [];
+  }
+};
+
+// Fetch one page of activity, newest first
+const listActivity = async (filter, { limit, cursor } = {}) => {
+  const sortSpec = [['_id', -1]];
+  const page = parsePagination({ limit: limit === undefined ? '20' : limit, cursor });
+  const query = paginationQuery(filter, sortSpec, page.cursor);
+
+  // Fetch one extra entry to know whether another page exists
+  const entries = await Activity.find(query.filter)
+    .sort(query.sort)
+    .limit(page.limit + 1)
+    .populate('actor', 'username email');
+
+  const { items, nextCursor } = paginateResults(entries, page.limit, sortSpec);
+
+  return {
+    activity: items,
+    nextCursor
+  };
+};
+
+module.exports = {
+  PROJECT_FIELDS,
+  TASK_FIELDS,
+  snapshot,
+  diffSnapshots,
+  recordActivity,
+  recordActivities,
+  listActivity
+};
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Normalize and validate task assignees from a request body.
+// Returns { assigneeIds } on success or { error } with a message for a 400 response.
+const resolveAssignees = (project, value) => {
+  // Accept a single ID or an array of IDs; null clears all assignees
+  const rawIds = value === null ? [] : [].concat(value);
+
+  const invalidIds = rawIds.filter(id => typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id));
+  if (invalidIds.length > 0) {
+    return { error: 'Invalid assignee ID format.' };
+  }
+
+  // Remove duplicates while keeping the original order
+  const assigneeIds = [...new Set(rawIds)];
+
+  // Every assignee must have access to the task's project
+  const outsiders = assigneeIds.filter(id => !project.getRole(id));
+  if (outsiders.length > 0) {
+    return {
+      error: 'Assignees must be members of the project.',
+      invalidAssignees: outsiders
+    };
+  }
+
+  return { assigneeIds };
+};
+
+module.exports = {
+  resolveAssignees
+};
@@ -1,166 +1,367 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
-// Generate JWT token for user
-const generateToken = (userId) => {
+// Access tokens are short-lived; refresh tokens are rotated on every use
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Hash a token secret (refresh or calendar feed) before storing or comparing it
+const hashToken = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+// Generate a short-lived JWT access token bound to a session generation
+const generateToken = (userId, session) => {
   return jwt.sign(
-    { userId }, // Payload
+    { userId, sid: session._id, gen: session.generation }, // Payload
     process.env.JWT_SECRET, // Secret key
-    { expiresIn: '7d' } // Token expires in 7 days
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 };
 
-// Middleware to verify JWT token and authenticate user
-const authenticateToken = async (req, res, next) => {
-  try {
-    // Get token from header
-    const authHeader = req.header('Authorization');
-    
-    // Check if no token provided
-    if (!authHeader) {
-      return res.status(401).json({ 
-        message: 'Access denied. No token provided.' 
-      });
-    }
+// Start a new session and return an access token and refresh token pair
+const issueTokens = async (userId, req) => {
+  const secret = crypto.randomBytes(48).toString('hex');
 
-    // Extract token from "Bearer TOKEN" format
-    const token = authHeader.startsWith('Bearer ') 
-      ? authHeader.slice(7) 
-      : authHeader;
+  const session = await Session.create({
+    user: userId,
+    tokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req ? (req.get('User-Agent') || '').slice(0, 500) : undefined,
+    lastUsedAt: new Date()
+  });
 
-    if (!token) {
-      return res.status(401).json({ 
-        message: 'Access denied. Invalid token format.' 
-      });
+  return {
+    token: generateToken(userId, session),
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+// Exchange a refresh token for a new token pair.
+// Returns { tokens } on success or { error } with a message for a 401 response.
+const rotateRefreshToken = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+
+  if (!sessionId || !secret || !/^[0-9a-f]{24}$/i.test(sessionId)) {
+    return { error: 'Invalid refresh token.' };
+  }
+
+  const nextSecret = crypto.randomBytes(48).toString('hex');
+
+  // Rotate atomically so the same token cannot be exchanged twice
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      tokenHash: hashToken(secret),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: { tokenHash: hashToken(nextSecret), lastUsedAt: new Date() },
+      $inc: { generation: 1 }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(sessionId);
+
+    if (!existing) {
+      return { error: 'Invalid refresh token.' };
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Find user by ID from token payload
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ 
-        message: 'Token is valid but user not found.' 
-      });
+    if (!existing.isActive()) {
+      return { error: 'Refresh token has been revoked or has expired.' };
     }
 
-    // Add user to request object for use in protected routes
-    req.user = user;
-    next();
+    // A valid session presented with an old secret means the token was
+    // reused after rotation, so the whole token family is revoked
+    existing.revokedAt = new Date();
+    existing.revokedReason = 'token_reuse';
+    await existing.save();
 
+    return { error: 'Refresh token reuse detected. All tokens for this session have been revoked.' };
+  }
+
+  return {
+    tokens: {
+      token: generateToken(session.user, session),
+      refreshToken: `${session._id}.${nextSecret}`
+    }
+  };
+};
+
+// Read the access token from the Authorization header ("Bearer TOKEN").
+// With `allowQuery`, an access_token query parameter is accepted as well,
+// for clients such as EventSource that cannot set headers.
+// Returns undefined when no token was sent.
+const readAccessToken = (req, { allowQuery = false } = {}) => {
+  const authHeader = req.header('Authorization');
+
+  if (authHeader) {
+    return authHeader.startsWith('Bearer ')
+      ? authHeader.slice(7)
+      : authHeader;
+  }
+
+  if (allowQuery && typeof req.query.access_token === 'string') {
+    return req.query.access_token;
+  }
+
+  return undefined;
+};
+
+// Verify a JWT access token against its session and load its user.
+// Returns { user, session } on success or { error } with a message for a 401 response.
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     // Handle different JWT errors
     if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        message: 'Access denied. Invalid token.' 
-      });
+      return { error: 'Access denied. Invalid token.' };
     }
-    
+
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        message: 'Access denied. Token expired.' 
-      });
+      return { error: 'Access denied. Token expired.' };
     }
 
-    // Handle other errors
-    console.error('Authentication error:', error);
-    res.status(500).json({ 
-      message: 'Server error during authentication.' 
-    });
+    throw error;
+  }
+
+  // Tokens must belong to a session so they can be revoked
+  if (!decoded.sid) {
+    return { error: 'Access denied. Invalid token.' };
+  }
+
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || !session.isActive() || session.user.toString() !== decoded.userId.toString()) {
+    return { error: 'Access denied. Token has been revoked.' };
+  }
+
+  // Access tokens issued before the last refresh are superseded
+  if (session.generation !== decoded.gen) {
+    return { error: 'Access denied. Token has been superseded.' };
+  }
+
+  // Find user by ID from token payload
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    return { error: 'Token is valid but user not found.' };
   }
+
+  return { user, session };
+};
+
+// Middleware factory to verify the JWT access token and authenticate the user.
+// `allowQuery` also accepts the token as an access_token query parameter.
+const authenticate = ({ allowQuery = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const token = readAccessToken(req, { allowQuery });
+
+      // Check if no token provided
+      if (token === undefined) {
+        return res.status(401).json({ 
+          message: 'Access denied. No token provided.' 
+        });
+      }
+
+      if (!token) {
+        return res.status(401).json({ 
+          message: 'Access denied. Invalid token format.' 
+        });
+      }
+
+      const { user, session, error } = await verifyAccessToken(token);
+
+      if (error) {
+        return res.status(401).json({ 
+          message: error 
+        });
+      }
+
+      // Add user and session to request object for use in protected routes
+      req.user = user;
+      req.authSession = session;
+      next();
+
+    } catch (error) {
+      console.error('Authentication error:', error);
+      res.status(500).json({ 
+        message: 'Server error during authentication.' 
+      });
+    }
+  };
 };
 
-// Middleware to verify resource ownership
-const verifyOwnership = (Model, paramName = 'id') => {
+// Middleware to verify JWT token and authenticate user
+const authenticateToken = authenticate();
+
+// Same as authenticateToken, but also accepts ?access_token= for event streams
+const authenticateStreamToken = authenticate({ allowQuery: true });
+
+// Error response for changes to an archived (read-only) project
+const archivedProjectError = () => ({
+  status: 409,
+  body: {
+    message: 'This project is archived and read-only. Unarchive it to make changes.'
+  }
+});
+
+// Middleware factory to verify the user's role on a project.
+// Archived projects only allow viewer access unless `allowArchived` is set.
+const verifyProjectAccess = (requiredRole = 'viewer', paramName = 'id', { allowArchived = false } = {}) => {
   return async (req, res, next) => {
     try {
-      const resourceId = req.params[paramName];
+      const projectId = req.params[paramName];
       const userId = req.user._id;
 
-      // Find the resource
-      const resource = await Model.findById(resourceId);
-      
-      if (!resource) {
-        return res.status(404).json({ 
-          message: `${Model.modelName} not found.` 
+      const Project = require('../models/Project');
+
+      // Find the project
+      const project = await Project.findById(projectId);
+
+      if (!project) {
+        return res.status(404).json({
+          message: 'Project not found.'
+        });
+      }
+
+      // Check the user's role on the project
+      const role = project.getRole(userId);
+
+      if (!role) {
+        return res.status(403).json({
+          message: 'Access denied. You are not a member of this project.'
         });
       }
 
-      // Check ownership
-      if (resource.user.toString() !== userId.toString()) {
-        return res.status(403).json({ 
-          message: `Access denied. You don't own this ${Model.modelName.toLowerCase()}.` 
+      if (!Project.roleSatisfies(role, requiredRole)) {
+        return res.status(403).json({
+          message: `Access denied. This action requires the ${requiredRole} role.`
         });
       }
 
-      // Add resource to request for use in route handler
-      req.resource = resource;
+      if (project.archivedAt && requiredRole !== 'viewer' && !allowArchived) {
+        const archivedError = archivedProjectError();
+        return res.status(archivedError.status).json(archivedError.body);
+      }
+
+      // Add project and role to request for use in route handler
+      req.resource = project;
+      req.projectRole = role;
       next();
 
     } catch (error) {
-      console.error('Ownership verification error:', error);
-      
+      console.error('Project access verification error:', error);
+
       if (error.name === 'CastError') {
-        return res.status(400).json({ 
-          message: 'Invalid resource ID format.' 
+        return res.status(400).json({
+          message: 'Invalid project ID format.'
         });
       }
-      
-      res.status(500).json({ 
-        message: 'Server error during ownership verification.' 
+
+      res.status(500).json({
+        message: 'Server error during project access verification.'
       });
     }
   };
 };
 
-// Middleware to verify task ownership through project
-const verifyTaskOwnership = async (req, res, next) => {
-  try {
-    const taskId = req.params.taskId;
-    const userId = req.user._id;
-
-    const Task = require('../models/Task');
-    
-    // Find task and populate project
-    const task = await Task.findById(taskId).populate('project', 'user');
-    
-    if (!task) {
-      return res.status(404).json({ 
-        message: 'Task not found.' 
-      });
-    }
+// Check a user's role on the (populated) project containing a task.
+// Tasks in archived projects are read-only.
+// Returns null when allowed, or { status, body } describing the error response.
+const checkTaskAccess = (task, userId, requiredRole = 'viewer') => {
+  const Project = require('../models/Project');
+  const role = task.project ? task.project.getRole(userId) : null;
 
-    // Check if user owns the project that contains this task
-    if (task.project.user.toString() !== userId.toString()) {
-      return res.status(403).json({ 
-        message: 'Access denied. You don\'t own the project containing this task.' 
-      });
-    }
+  if (!role) {
+    return {
+      status: 403,
+      body: {
+        message: 'Access denied. You are not a member of the project containing this task.'
+      }
+    };
+  }
+
+  if (!Project.roleSatisfies(role, requiredRole)) {
+    return {
+      status: 403,
+      body: {
+        message: `Access denied. This action requires the ${requiredRole} role.`
+      }
+    };
+  }
 
-    // Add task to request for use in route handler
-    req.task = task;
-    next();
+  if (task.project.archivedAt && requiredRole !== 'viewer') {
+    return archivedProjectError();
+  }
 
-  } catch (error) {
-    console.error('Task ownership verification error:', error);
-    
-    if (error.name === 'CastError') {
-      return res.status(400).json({ 
-        message: 'Invalid task ID format.' 
+  return null;
+};
+
+// Middleware factory to verify the user's role on the project containing a task
+const verifyTaskAccess = (requiredRole = 'viewer') => {
+  return async (req, res, next) => {
+    try {
+      const taskId = req.params.taskId;
+      const userId = req.user._id;
+
+      const Task = require('../models/Task');
+
+      // Find task and populate project
+      const task = await Task.findById(taskId).populate('project', 'name user members workflow archivedAt');
+
+      if (!task) {
+        return res.status(404).json({
+          message: 'Task not found.'
+        });
+      }
+
+      // Check the user's role on the project that contains this task
+      const accessError = checkTaskAccess(task, userId, requiredRole);
+      if (accessError) {
+        return res.status(accessError.status).json(accessError.body);
+      }
+
+      // Add task and role to request for use in route handler
+      req.task = task;
+      req.projectRole = task.project.getRole(userId);
+      next();
+
+    } catch (error) {
+      console.error('Task access verification error:', error);
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: 'Invalid task ID format.'
+        });
+      }
+
+      res.status(500).json({
+        message: 'Server error during task access verification.'
       });
     }
-    
-    res.status(500).json({ 
-      message: 'Server error during task ownership verification.' 
-    });
-  }
+  };
 };
 
 module.exports = {
+  hashToken,
   generateToken,
+  issueTokens,
+  rotateRefreshToken,
+  readAccessToken,
+  verifyAccessToken,
   authenticateToken,
-  verifyOwnership,
-  verifyTaskOwnership
+  authenticateStreamToken,
+  archivedProjectError,
+  verifyProjectAccess,
+  checkTaskAccess,
+  verifyTaskAccess
 };
\ No newline at end of file
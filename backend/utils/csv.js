@@ -0,0 +1,88 @@
+// Minimal CSV (RFC 4180) encoding and parsing
+
+// Text that spreadsheets would run as a formula (=, +, -, @, tab or carriage
+// return first), also after quotes added by protectFormula
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+// Prefix formula-like text with a quote so spreadsheets show it as text
+// instead of running it (CSV formula injection)
+const protectFormula = (text) => (FORMULA_PATTERN.test(text) ? `'${text}` : text);
+
+// Undo protectFormula when reading a value back in
+const unprotectFormula = (text) => (
+  text.startsWith("'") && FORMULA_PATTERN.test(text.slice(1)) ? text.slice(1) : text
+);
+
+// Quote a value when it contains a delimiter, quote or line break. Text
+// values are protected against formula injection; numbers and dates are not.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = value instanceof Date
+    ? value.toISOString()
+    : (typeof value === 'string' ? protectFormula(value) : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format one CSV line, including the trailing line break
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+// Parse CSV text into an array of rows, each an array of strings.
+// Quoted fields may contain commas, doubled quotes and line breaks.
+// Throws an error when a quoted field is never closed.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Ignore a UTF-8 byte order mark, as written by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: a quoted value is never closed.');
+  }
+
+  // The last line may not end with a line break
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(values => values.some(value => value.trim() !== ''));
+};
+
+module.exports = {
+  unprotectFormula,
+  toCsvRow,
+  parseCsv
+};
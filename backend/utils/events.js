@@ -0,0 +1,89 @@
+// In-process event bus for project and task changes. Every activity log
+// entry is published as an event, so anything that changes a project, its
+// members, tasks or comments is announced here for webhooks and other
+// listeners.
+
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // Listeners come and go with live connections
+
+// Event types listeners can subscribe to
+const EVENT_TYPES = [
+  'project.created',
+  'project.updated',
+  'project.deleted',
+  'project.restored',
+  'project.purged',
+  'project.archived',
+  'project.unarchived',
+  'project.imported',
+  'member.added',
+  'member.updated',
+  'member.removed',
+  'task.created',
+  'task.updated',
+  'task.status_changed',
+  'task.assigned',
+  'task.unassigned',
+  'task.deleted',
+  'task.restored',
+  'task.purged',
+  'comment.created',
+  'comment.updated',
+  'comment.deleted'
+];
+
+// Build the event for an activity log entry. `type` names the action, e.g.
+// "task.created"; `types` lists every type the event matches, since a
+// status change is also an update and an update may change the status.
+const activityEvent = (activity) => {
+  const type = `${activity.entityType}.${activity.action.replace(/^member_/, '')}`;
+  const types = [type];
+
+  if (type === 'task.status_changed') {
+    types.push('task.updated');
+  } else if (type === 'task.updated' && activity.changes.some(change => change.field === 'status')) {
+    types.push('task.status_changed');
+  }
+
+  return {
+    id: activity._id.toString(),
+    type,
+    types,
+    occurredAt: activity.createdAt,
+    project: activity.project.toString(),
+    task: activity.task ? activity.task.toString() : null,
+    entity: {
+      type: activity.entityType,
+      id: activity.entityId.toString()
+    },
+    actor: activity.actor.toString(),
+    summary: activity.summary || null,
+    changes: activity.changes.map(({ field, from, to }) => ({ field, from, to }))
+  };
+};
+
+// Announce an event to every listener. Listener failures are reported but
+// never reach the code that published the event.
+const publishEvent = (event) => {
+  try {
+    bus.emit('event', event);
+  } catch (error) {
+    console.error('Event listener error:', error);
+  }
+};
+
+// Call a listener for every published event. Returns a function that
+// removes the listener again.
+const subscribe = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+module.exports = {
+  EVENT_TYPES,
+  activityEvent,
+  publishEvent,
+  subscribe
+};
@@ -0,0 +1,67 @@
+// Helpers for building highlighted search result snippets
+
+const SNIPPET_BEFORE = 60; // Characters of context before the first match
+const SNIPPET_LENGTH = 200; // Maximum snippet length before adding ellipses
+
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Word characters in any script (letters, combining marks, digits and
+// underscore), since \w and \b only know ASCII letters
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}_]';
+
+// Turn a search query into the word stems to highlight.
+// MongoDB text search stems words, so common suffixes are dropped and
+// any word starting with the stem is highlighted.
+const searchTerms = (query) => {
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-')) // Skip negated terms
+    .flatMap(word => word.split(/[^\p{L}\p{M}\p{N}_]+/u)) // Punctuation separates words
+    .map(word => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word))
+    .filter(word => word.length > 0);
+};
+
+// Build an HTML-escaped snippet around the first match with <mark> tags,
+// or return null when the text does not contain any of the terms
+const buildSnippet = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(`(?<!${WORD_CHAR})(${terms.map(escapeRegExp).join('|')})${WORD_CHAR}*`, 'giu');
+  const firstMatch = pattern.exec(text);
+  if (!firstMatch) return null;
+
+  // Cut a window of text around the first match
+  const start = Math.max(0, firstMatch.index - SNIPPET_BEFORE);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const excerpt = text.slice(start, end);
+
+  // Escape each piece separately so the <mark> tags stay intact
+  let snippet = '';
+  let lastIndex = 0;
+  pattern.lastIndex = 0;
+
+  let match;
+  while ((match = pattern.exec(excerpt)) !== null) {
+    snippet += escapeHtml(excerpt.slice(lastIndex, match.index));
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  snippet += escapeHtml(excerpt.slice(lastIndex));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  searchTerms,
+  buildSnippet
+};
@@ -0,0 +1,108 @@
+// iCalendar (RFC 5545) output for task due dates
+
+// Base URL of the web app, used for links back to tasks
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// iCalendar PRIORITY values run from 1 (highest) to 9 (lowest)
+const ICAL_PRIORITIES = {
+  Urgent: 1,
+  High: 3,
+  Medium: 5,
+  Low: 9
+};
+
+// Escape a TEXT value
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line into lines of at most 75 octets; continuation lines
+// start with a space. Multi-byte characters are never split.
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = lines.length === 0 ? 75 : 74; // Leave room for the leading space
+
+    if (currentBytes + bytes > limit) {
+      lines.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n ');
+};
+
+// Format a date as a UTC DATE-TIME (20241231T170000Z)
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Format the UTC day of a date as a DATE (20241231)
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+// Link to a task in the web app
+const taskUrl = (task) => `${APP_URL}/projects/${task.project._id || task.project}/tasks/${task._id}`;
+
+// Build an all-day event on a task's due date. The details carry the task's
+// status and priority, its project name and a link back to the task; done
+// tasks are marked with a check mark.
+const taskEvent = (task, { projectName, isDone }) => {
+  const url = taskUrl(task);
+  const details = [
+    `Status: ${task.status}`,
+    `Priority: ${task.priority}`,
+    `Project: ${projectName}`,
+    '',
+    task.description,
+    '',
+    url
+  ];
+  const dueDay = new Date(task.dueDate);
+  dueDay.setUTCHours(0, 0, 0, 0);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:task-${task._id}@pro-tasker`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `LAST-MODIFIED:${formatDateTime(task.updatedAt || new Date())}`,
+    `DTSTART;VALUE=DATE:${formatDate(dueDay)}`,
+    `DTEND;VALUE=DATE:${formatDate(new Date(dueDay.getTime() + 24 * 60 * 60 * 1000))}`,
+    `SUMMARY:${escapeText(`${isDone ? '✓ ' : ''}${task.title}`)}`,
+    `DESCRIPTION:${escapeText(details.join('\n'))}`,
+    `CATEGORIES:${escapeText(projectName)},${escapeText(task.status)}`,
+    `PRIORITY:${ICAL_PRIORITIES[task.priority] || 0}`,
+    `URL:${url}`,
+    'TRANSP:TRANSPARENT', // Due dates don't make anyone busy
+    'END:VEVENT'
+  ];
+};
+
+// Build a complete calendar from event line lists
+const buildCalendar = (name, events) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Pro-Tasker//Task Due Dates//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  taskUrl,
+  taskEvent,
+  buildCalendar
+};
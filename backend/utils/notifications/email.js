@@ -0,0 +1,47 @@
+// Email (SMTP) delivery channel for notifications
+
+const nodemailer = require('nodemailer');
+
+// SMTP server settings; email is disabled unless SMTP_HOST is set
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 587;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true'; // TLS from the start (usually port 465)
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASS = process.env.SMTP_PASS;
+const SMTP_FROM = process.env.SMTP_FROM || 'Pro-Tasker <no-reply@localhost>';
+
+let transport = null;
+
+// Create the SMTP transport on first use and reuse its connections
+const getTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+      pool: true
+    });
+  }
+
+  return transport;
+};
+
+const emailChannel = {
+  name: 'email',
+
+  // Users can turn email off; the notification still shows in the app
+  isEnabled: (user) => Boolean(SMTP_HOST) && Boolean(user.email) && user.emailNotifications !== false,
+
+  send: async (notification, user, { url }) => {
+    await getTransport().sendMail({
+      from: SMTP_FROM,
+      to: user.email,
+      subject: notification.title,
+      text: `Hi ${user.username},\n\n${notification.message}\n\n${url}\n\n` +
+        'You can change when reminders are sent, or turn off reminder emails, in your preferences.\n'
+    });
+  }
+};
+
+module.exports = emailChannel;
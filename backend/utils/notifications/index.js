@@ -0,0 +1,51 @@
+// Delivery channels for notifications. Every notification is stored for the
+// in-app list; channels additionally push it to the user elsewhere.
+//
+// A channel is an object with:
+//   name                            - Recorded with each delivery, e.g. "email"
+//   isEnabled(user)                 - Whether to send this user's notifications
+//   send(notification, user, links) - Send one notification; throw on failure.
+//                                     links.url points to the task in the web app.
+
+const { taskUrl } = require('../ical');
+const emailChannel = require('./email');
+
+const channels = [];
+
+// Add a delivery channel
+const registerChannel = (channel) => {
+  channels.push(channel);
+};
+
+// Send a notification over every channel enabled for its user and record the
+// outcome on it. Channel failures are reported but never thrown.
+const deliverNotification = async (notification, user) => {
+  const links = {
+    url: taskUrl({ _id: notification.task, project: notification.project })
+  };
+
+  for (const channel of channels) {
+    if (!channel.isEnabled(user)) continue;
+
+    try {
+      await channel.send(notification, user, links);
+      notification.deliveries.push({ channel: channel.name, sentAt: new Date() });
+    } catch (error) {
+      console.error(`Notification ${channel.name} delivery error:`, error);
+      notification.deliveries.push({ channel: channel.name, error: error.message });
+    }
+  }
+
+  if (notification.isModified('deliveries')) {
+    await notification.save();
+  }
+
+  return notification;
+};
+
+registerChannel(emailChannel);
+
+module.exports = {
+  registerChannel,
+  deliverNotification
+};
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Create an error that routes turn into a 400 response
+const cursorError = (message) => {
+  const error = new Error(message);
+  error.name = 'CursorError';
+  return error;
+};
+
+// Append _id as a final tie-breaker so the order is always stable
+const withTieBreaker = (sortSpec) => {
+  if (sortSpec.some(([field]) => field === '_id')) return sortSpec;
+  const lastDirection = sortSpec.length > 0 ? sortSpec[sortSpec.length - 1][1] : -1;
+  return [...sortSpec, ['_id', lastDirection]];
+};
+
+// Serialize a sort value so dates and ObjectIds survive the round trip
+const encodeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  if (value._id instanceof mongoose.Types.ObjectId) return { $oid: value._id.toString() }; // Populated reference
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') {
+      const date = new Date(value.$date);
+      if (Number.isNaN(date.getTime())) throw cursorError('Invalid cursor.');
+      return date;
+    }
+    if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw cursorError('Invalid cursor.');
+  }
+  return value;
+};
+
+// Read a (possibly nested) field from a document or plain object
+const getField = (doc, field) => {
+  if (typeof doc.get === 'function') return doc.get(field);
+  return field.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+};
+
+// Parse `limit` and `cursor` query params
+const parsePagination = (query) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw cursorError(`Invalid limit. Must be an integer between 1 and ${MAX_LIMIT}.`);
+  }
+
+  return { limit, cursor: query.cursor || null };
+};
+
+// Encode the position of the last document of a page
+const encodeCursor = (doc, sortSpec) => {
+  const spec = withTieBreaker(sortSpec);
+  const payload = {
+    s: spec.map(([field, direction]) => `${direction === 1 ? '' : '-'}${field}`).join(','),
+    v: spec.map(([field]) => encodeValue(getField(doc, field)))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Decode a cursor and make sure it was produced for the same sort order
+const decodeCursor = (cursor, sortSpec) => {
+  const spec = withTieBreaker(sortSpec);
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw cursorError('Invalid cursor.');
+  }
+
+  const signature = spec.map(([field, direction]) => `${direction === 1 ? '' : '-'}${field}`).join(',');
+
+  if (!payload || payload.s !== signature || !Array.isArray(payload.v) || payload.v.length !== spec.length) {
+    throw cursorError('Cursor does not match the requested sort order.');
+  }
+
+  return payload.v.map(decodeValue);
+};
+
+// Condition matching documents that come after `value` on one sort field.
+// MongoDB sorts null/missing values before everything else.
+const afterCondition = (field, direction, value) => {
+  if (value === null) {
+    return direction === 1 ? { [field]: { $ne: null } } : null;
+  }
+  if (direction === 1 || field === '_id') {
+    return { [field]: { [direction === 1 ? '$gt' : '$lt']: value } };
+  }
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Build the filter selecting documents after the cursor position
+const cursorFilter = (sortSpec, values) => {
+  const spec = withTieBreaker(sortSpec);
+  const branches = [];
+
+  spec.forEach(([field, direction], index) => {
+    const after = afterCondition(field, direction, values[index]);
+    if (!after) return;
+
+    // Every earlier sort field must be equal to the cursor's value
+    const equals = spec.slice(0, index).map(([prevField], prevIndex) => ({
+      [prevField]: values[prevIndex]
+    }));
+
+    branches.push(equals.length > 0 ? { $and: [...equals, after] } : after);
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: null };
+};
+
+// Combine a base filter with the cursor position and return the sort object
+const paginationQuery = (filter, sortSpec, cursor) => {
+  const spec = withTieBreaker(sortSpec);
+  const sort = spec.reduce((acc, [field, direction]) => {
+    acc[field] = direction;
+    return acc;
+  }, {});
+
+  if (!cursor) {
+    return { filter, sort };
+  }
+
+  const values = decodeCursor(cursor, sortSpec);
+  return {
+    filter: { $and: [filter, cursorFilter(sortSpec, values)] },
+    sort
+  };
+};
+
+// Trim the extra look-ahead document and compute the next cursor
+const paginateResults = (docs, limit, sortSpec) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortSpec) : null
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  paginationQuery,
+  paginateResults
+};
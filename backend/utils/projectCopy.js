@@ -0,0 +1,101 @@
+// Helpers for copying a project's tasks into templates and new projects
+
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { rankAfter } = require('./rank');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_NAME_LENGTH = 100; // Matches the Project name maxlength
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Capture a project's tasks in the template task format, oldest first.
+// Due dates become offsets in days from the project's start (creation) date.
+const captureTasks = async (project) => {
+  const tasks = await Task.find({ project: project._id }).sort({ createdAt: 1, _id: 1 });
+  const start = project.createdAt || new Date();
+
+  return tasks.map(task => ({
+    ref: task._id.toString(),
+    parentRef: task.parent ? task.parent.toString() : null,
+    blockedByRefs: task.blockedBy.map(blocker => blocker.toString()),
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    dueOffsetDays: task.dueDate ? Math.round((task.dueDate - start) / DAY_MS) : null,
+    checklist: task.checklist.map(item => ({ text: item.text }))
+  }));
+};
+
+// Create tasks in a new project from template tasks. Every task starts in the
+// project's default status, with due dates shifted relative to startDate.
+// Returns the created tasks and warnings about due dates that were dropped.
+const instantiateTasks = async (project, templateTasks, startDate) => {
+  const ids = new Map(templateTasks.map(task => [task.ref, new mongoose.Types.ObjectId()]));
+  const status = project.defaultStatus();
+  const now = new Date();
+  const warnings = [];
+  let rank = null;
+
+  const tasks = templateTasks.map(templateTask => {
+    let dueDate = null;
+    if (templateTask.dueOffsetDays !== null && templateTask.dueOffsetDays !== undefined) {
+      dueDate = new Date(startDate.getTime() + templateTask.dueOffsetDays * DAY_MS);
+
+      // Due dates must be in the future
+      if (dueDate < now) {
+        warnings.push(`Due date for "${templateTask.title}" would be in the past and was not set.`);
+        dueDate = null;
+      }
+    }
+
+    rank = rankAfter(rank);
+
+    return new Task({
+      _id: ids.get(templateTask.ref),
+      title: templateTask.title,
+      description: templateTask.description,
+      priority: templateTask.priority,
+      project,
+      status,
+      rank,
+      dueDate,
+      parent: (templateTask.parentRef && ids.get(templateTask.parentRef)) || null,
+      blockedBy: templateTask.blockedByRefs.map(ref => ids.get(ref)).filter(Boolean),
+      checklist: templateTask.checklist.map(item => ({ text: item.text }))
+    });
+  });
+
+  if (tasks.length > 0) {
+    await Task.insertMany(tasks);
+  }
+
+  return { tasks, warnings };
+};
+
+// Find a project name for a user that does not clash with their other
+// projects: the name itself when free, otherwise "Name (copy)", "Name (copy 2)", ...
+const uniqueProjectName = async (userId, name) => {
+  // Copying a copy numbers it instead of adding another suffix
+  const base = name.replace(/ \(copy( \d+)?\)$/, '').slice(0, MAX_NAME_LENGTH - ' (copy 9999)'.length).trim();
+  const pattern = new RegExp(`^${escapeRegExp(base)}( \\(copy( \\d+)?\\))?$`);
+  // Projects in the trash still hold their names
+  const existing = await Project.find({ user: userId, name: pattern })
+    .select('name')
+    .setOptions({ withDeleted: true });
+  const taken = new Set(existing.map(project => project.name));
+
+  if (!taken.has(name) && name.length <= MAX_NAME_LENGTH) return name;
+  if (!taken.has(`${base} (copy)`)) return `${base} (copy)`;
+
+  let number = 2;
+  while (taken.has(`${base} (copy ${number})`)) number++;
+  return `${base} (copy ${number})`;
+};
+
+module.exports = {
+  captureTasks,
+  instantiateTasks,
+  uniqueProjectName
+};
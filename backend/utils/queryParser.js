@@ -0,0 +1,249 @@
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Allowed sorting and filtering options for each list endpoint
+const PROJECT_QUERY = {
+  sortable: ['name', 'status', 'createdAt', 'updatedAt'],
+  defaultSort: 'createdAt',
+  enums: {
+    status: Project.schema.path('status').enumValues
+  },
+  dateRanges: ['createdAt', 'updatedAt']
+};
+
+const TASK_QUERY = {
+  sortable: ['title', 'status', 'priority', 'dueDate', 'rank', 'createdAt', 'updatedAt'],
+  defaultSort: 'createdAt',
+  enums: {
+    priority: Task.schema.path('priority').enumValues
+  },
+  dateRanges: ['dueDate', 'createdAt', 'updatedAt'],
+  dueDateFlags: true
+};
+
+// Task statuses come from project workflows, so the task options are
+// completed with the workflows of the projects being listed
+const taskQuerySpec = (projects) => ({
+  ...TASK_QUERY,
+  enums: {
+    status: [...new Set(projects.flatMap(project => project.statusNames()))],
+    ...TASK_QUERY.enums
+  },
+  openTaskFilter: Project.openTaskFilter(projects),
+  doneTaskFilter: Project.doneTaskFilter(projects)
+});
+
+// Create an error that routes turn into a 400 response listing every problem
+const queryError = (errors) => {
+  const error = new Error('Invalid query parameters.');
+  error.name = 'QueryError';
+  error.errors = errors;
+  return error;
+};
+
+// Split "a,b" or repeated params (?a=1&a=2) into a flat list of trimmed values
+const toList = (value) => {
+  return [].concat(value)
+    .flatMap(item => (typeof item === 'string' ? item.split(',') : [null]))
+    .map(item => (item === null ? null : item.trim()))
+    .filter(item => item !== '');
+};
+
+const parseBoolean = (value) => {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return undefined;
+};
+
+// Parse a date query param; date-only upper bounds include the whole day
+const parseDate = (value, endOfDay) => {
+  if (typeof value !== 'string') return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// Parse `sort` ("priority,-createdAt") and the legacy `order` param into a sort spec
+const parseSort = (query, spec, errors) => {
+  const { sort = spec.defaultSort, order = 'desc' } = query;
+
+  if (order !== 'asc' && order !== 'desc') {
+    errors.push('Invalid order. Must be one of: asc, desc');
+  }
+  const defaultDirection = order === 'asc' ? 1 : -1;
+
+  if (typeof sort !== 'string') {
+    errors.push('Invalid sort. Provide a comma-separated list of fields.');
+    return [];
+  }
+
+  const sortSpec = [];
+
+  toList(sort).forEach(token => {
+    // A leading "-" sorts descending and "+" ascending; otherwise `order` applies
+    const prefix = token[0] === '-' || token[0] === '+' ? token[0] : '';
+    const field = prefix ? token.slice(1) : token;
+    const direction = prefix === '-' ? -1 : prefix === '+' ? 1 : defaultDirection;
+
+    if (!spec.sortable.includes(field)) {
+      errors.push(`Cannot sort by "${field}". Sortable fields: ${spec.sortable.join(', ')}`);
+      return;
+    }
+
+    if (sortSpec.some(([existing]) => existing === field)) {
+      errors.push(`Duplicate sort field "${field}".`);
+      return;
+    }
+
+    sortSpec.push([field, direction]);
+  });
+
+  return sortSpec;
+};
+
+// Parse the includeArchived flag used by project and task lists, search and
+// stats. Archived projects are left out unless it is true.
+const parseIncludeArchived = (query) => {
+  if (query.includeArchived === undefined) return false;
+
+  const value = parseBoolean(query.includeArchived);
+  if (value === undefined) {
+    throw queryError(['Invalid includeArchived. Must be true or false.']);
+  }
+  return value;
+};
+
+// Parse the `from` and `to` dates of a report into a range of whole UTC days,
+// both inclusive. Defaults to the `defaultDays` days ending today.
+// Throws a QueryError listing every invalid parameter.
+const parseDateRange = (query, { defaultDays = 30, maxDays = 366 } = {}) => {
+  const errors = [];
+  const range = {};
+
+  ['from', 'to'].forEach(param => {
+    if (query[param] === undefined) return;
+
+    const date = parseDate(query[param], false);
+    if (!date) {
+      errors.push(`Invalid ${param}. Must be a valid date (e.g. 2024-12-31).`);
+      return;
+    }
+    range[param] = date;
+  });
+
+  if (errors.length > 0) throw queryError(errors);
+
+  const to = range.to || new Date();
+  to.setUTCHours(23, 59, 59, 999);
+
+  const from = range.from || new Date(to.getTime() - (defaultDays - 1) * DAY_MS);
+  from.setUTCHours(0, 0, 0, 0);
+
+  const days = Math.round((to.getTime() - from.getTime()) / DAY_MS);
+  if (days < 1) {
+    throw queryError(['from must be before to.']);
+  }
+  if (days > maxDays) {
+    throw queryError([`Date range cannot exceed ${maxDays} days.`]);
+  }
+
+  return { from, to };
+};
+
+// Parse list query params into a MongoDB filter and sort spec.
+// Throws a QueryError listing every invalid parameter.
+const parseListQuery = (query, spec) => {
+  const errors = [];
+  const conditions = [];
+
+  const sort = parseSort(query, spec, errors);
+
+  // Enum filters accept a single value or a comma-separated list
+  Object.entries(spec.enums).forEach(([field, allowed]) => {
+    if (query[field] === undefined) return;
+
+    const values = toList(query[field]);
+    const invalid = values.filter(value => !allowed.includes(value));
+
+    if (values.length === 0 || invalid.length > 0) {
+      errors.push(`Invalid ${field}. Must be one of: ${allowed.join(', ')}`);
+      return;
+    }
+
+    conditions.push({ [field]: values.length === 1 ? values[0] : { $in: values } });
+  });
+
+  // Date ranges use <field>From and <field>To, both inclusive
+  spec.dateRanges.forEach(field => {
+    const range = {};
+
+    ['From', 'To'].forEach(suffix => {
+      const param = `${field}${suffix}`;
+      if (query[param] === undefined) return;
+
+      const date = parseDate(query[param], suffix === 'To');
+      if (!date) {
+        errors.push(`Invalid ${param}. Must be a valid date (e.g. 2024-12-31).`);
+        return;
+      }
+      range[suffix === 'From' ? '$gte' : '$lte'] = date;
+    });
+
+    if (range.$gte && range.$lte && range.$gte > range.$lte) {
+      errors.push(`${field}From must be before ${field}To.`);
+      return;
+    }
+
+    if (Object.keys(range).length > 0) {
+      conditions.push({ [field]: range });
+    }
+  });
+
+  // Due date flags
+  if (spec.dueDateFlags) {
+    ['overdue', 'hasDueDate'].forEach(param => {
+      if (query[param] === undefined) return;
+
+      const value = parseBoolean(query[param]);
+      if (value === undefined) {
+        errors.push(`Invalid ${param}. Must be true or false.`);
+        return;
+      }
+
+      if (param === 'hasDueDate') {
+        conditions.push({ dueDate: value ? { $ne: null } : null });
+        return;
+      }
+
+      const now = new Date();
+      conditions.push(value
+        ? { $and: [{ dueDate: { $ne: null, $lt: now } }, spec.openTaskFilter] }
+        : { $or: [{ dueDate: null }, { dueDate: { $gte: now } }, spec.doneTaskFilter] });
+    });
+  }
+
+  if (errors.length > 0) {
+    throw queryError(errors);
+  }
+
+  return {
+    filter: conditions.length > 0 ? { $and: conditions } : {},
+    sort
+  };
+};
+
+module.exports = {
+  PROJECT_QUERY,
+  TASK_QUERY,
+  taskQuerySpec,
+  parseIncludeArchived,
+  parseDateRange,
+  parseListQuery
+};
@@ -0,0 +1,52 @@
+// Fractional ranks used to order tasks within a board column.
+// Ranks are base-36 strings compared lexicographically, so a task can be
+// placed between two others by giving it a rank between theirs without
+// touching any other task. Ranks never end in "0", which guarantees there
+// is always room between two different ranks.
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+const RANK_WIDTH = 6; // Digits used when appending to the end of a column
+const APPEND_STEP = BASE ** 3; // Gap left after each appended rank
+
+const trimZeros = (rank) => rank.replace(/0+$/, '');
+
+// Return a rank strictly between lower and upper. Either bound may be null
+// for the start or end of the column.
+const rankBetween = (lower = null, upper = null) => {
+  const low = lower || '';
+  let high = upper;
+  let rank = '';
+
+  for (let i = 0; ; i++) {
+    const lo = i < low.length ? DIGITS.indexOf(low[i]) : 0;
+    const hi = high !== null && i < high.length ? DIGITS.indexOf(high[i]) : BASE;
+
+    if (hi - lo > 1) {
+      return rank + DIGITS[Math.floor((lo + hi) / 2)];
+    }
+
+    rank += DIGITS[lo];
+
+    // Once the rank's prefix is below upper, later digits are unbounded
+    if (hi - lo === 1) high = null;
+  }
+};
+
+// Return a rank after the given one (or the first rank of an empty column).
+// Steps by a fixed amount so repeated appends keep ranks short.
+const rankAfter = (rank = null) => {
+  const head = (rank || '').slice(0, RANK_WIDTH).padEnd(RANK_WIDTH, '0');
+  const next = parseInt(head, BASE) + APPEND_STEP;
+
+  if (next >= BASE ** RANK_WIDTH) {
+    return rankBetween(rank, null);
+  }
+
+  return trimZeros(next.toString(BASE).padStart(RANK_WIDTH, '0'));
+};
+
+module.exports = {
+  rankBetween,
+  rankAfter
+};
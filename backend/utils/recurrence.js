@@ -0,0 +1,42 @@
+// Date arithmetic for recurring tasks
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Advance a date by one step of a recurrence rule. `custom` rules repeat
+// every `interval` days; the others every `interval` days, weeks or months.
+const addInterval = (date, { frequency, interval = 1 }) => {
+  const next = new Date(date);
+
+  switch (frequency) {
+    case 'weekly':
+      return new Date(next.getTime() + interval * 7 * DAY_MS);
+    case 'monthly': {
+      // Keep the day of the month, clamped to shorter months (Jan 31 -> Feb 28)
+      const day = next.getUTCDate();
+      next.setUTCDate(1);
+      next.setUTCMonth(next.getUTCMonth() + interval);
+      const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+      next.setUTCDate(Math.min(day, lastDay));
+      return next;
+    }
+    case 'daily':
+    case 'custom':
+    default:
+      return new Date(next.getTime() + interval * DAY_MS);
+  }
+};
+
+// Due date of the occurrence after one due at `from`. Occurrences missed
+// while a task was overdue are skipped so the next one is in the future.
+const nextOccurrenceDate = (rule, from, now = new Date()) => {
+  let next = addInterval(from, rule);
+  while (next <= now) {
+    next = addInterval(next, rule);
+  }
+  return next;
+};
+
+module.exports = {
+  addInterval,
+  nextOccurrenceDate
+};
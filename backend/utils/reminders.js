@@ -0,0 +1,110 @@
+// Due-date reminders and overdue notices for project owners
+
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { deliverNotification } = require('./notifications');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tasks that were already this far overdue when reminders first saw them are
+// not reported, so turning reminders on doesn't flood owners with old tasks
+const OVERDUE_LOOKBACK_DAYS = 7;
+
+// Format a due date for messages (2024-12-31 17:00 UTC)
+const formatDueDate = (date) => `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+// Decide which reminder a task's owner should get now, if any.
+// Returns 'task_overdue', 'task_due_soon' or null.
+const reminderType = (dueDate, leadHours, now) => {
+  if (dueDate <= now) return 'task_overdue';
+  if (dueDate.getTime() - now.getTime() <= leadHours * HOUR_MS) return 'task_due_soon';
+  return null;
+};
+
+// Build the title and message of a reminder
+const reminderContent = (type, task) => {
+  const dueText = formatDueDate(task.dueDate);
+
+  if (type === 'task_overdue') {
+    return {
+      title: `Overdue: ${task.title}`.slice(0, 200),
+      message: `"${task.title}" in ${task.project.name} was due ${dueText} and is still ${task.status}.`
+    };
+  }
+
+  return {
+    title: `Due soon: ${task.title}`.slice(0, 200),
+    message: `"${task.title}" in ${task.project.name} is due ${dueText} and is still ${task.status}.`
+  };
+};
+
+// Notify project owners about unfinished tasks that are due within their
+// reminder lead time or overdue, and send the notifications over their
+// enabled channels. Each reminder is sent once per due date; tasks in
+// archived projects and in the trash are skipped.
+// Returns the number of notifications created.
+const sendDueReminders = async (now = new Date()) => {
+  const tasks = await Task.find({
+    dueDate: {
+      $gte: new Date(now.getTime() - OVERDUE_LOOKBACK_DAYS * 24 * HOUR_MS),
+      $lte: new Date(now.getTime() + User.MAX_REMINDER_LEAD_HOURS * HOUR_MS)
+    }
+  })
+    .select('title status dueDate project')
+    .populate('project', 'name user workflow archivedAt');
+
+  const openTasks = tasks.filter(task =>
+    task.project && !task.project.archivedAt && !task.project.isDoneStatus(task.status)
+  );
+  if (openTasks.length === 0) return 0;
+
+  const ownerIds = [...new Set(openTasks.map(task => task.project.user.toString()))];
+  const owners = await User.find({ _id: { $in: ownerIds } })
+    .select('username email reminderLeadHours emailNotifications');
+  const ownersById = new Map(owners.map(owner => [owner._id.toString(), owner]));
+
+  // Skip reminders that were already sent for the current due dates
+  const sent = await Notification.find({ task: { $in: openTasks.map(task => task._id) } })
+    .select('task user type dueDate');
+  const sentKeys = new Set(sent.map(notification =>
+    `${notification.task}:${notification.user}:${notification.type}:${notification.dueDate.getTime()}`
+  ));
+
+  let created = 0;
+
+  for (const task of openTasks) {
+    const owner = ownersById.get(task.project.user.toString());
+    if (!owner) continue;
+
+    const type = reminderType(task.dueDate, owner.reminderLeadHours, now);
+    if (!type || sentKeys.has(`${task._id}:${owner._id}:${type}:${task.dueDate.getTime()}`)) continue;
+
+    let notification;
+    try {
+      notification = await Notification.create({
+        user: owner._id,
+        project: task.project._id,
+        task: task._id,
+        type,
+        ...reminderContent(type, task),
+        dueDate: task.dueDate
+      });
+    } catch (error) {
+      // Another server instance sent this reminder first
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    created += 1;
+    await deliverNotification(notification, owner);
+  }
+
+  return created;
+};
+
+module.exports = {
+  OVERDUE_LOOKBACK_DAYS,
+  reminderType,
+  sendDueReminders
+};
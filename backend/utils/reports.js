@@ -0,0 +1,213 @@
+// Time-series project reports built from task status history
+
+const Task = require('../models/Task');
+const StatusTransition = require('../models/StatusTransition');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Format a date as YYYY-MM-DD
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+// Start of the UTC week (Monday) containing a date
+const startOfWeek = (date) => {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+};
+
+// Round a duration in milliseconds to days with two decimals
+const toDays = (ms) => Math.round((ms / DAY_MS) * 100) / 100;
+
+const average = (values) => (values.length > 0
+  ? values.reduce((sum, value) => sum + value, 0) / values.length
+  : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Summarize durations in milliseconds as { averageDays, medianDays, count }
+const summarizeDurations = (durations) => ({
+  averageDays: durations.length > 0 ? toDays(average(durations)) : null,
+  medianDays: durations.length > 0 ? toDays(median(durations)) : null,
+  count: durations.length
+});
+
+// Load the status history of a project's tasks, oldest first. Each entry is
+// { at, from, to, isDone, wasDone, isCreation }. Tasks in the trash are
+// left out. Tasks created before history was recorded start at their
+// creation time in the status their first recorded transition left, or in
+// their current status if they have no transitions.
+const loadHistory = async (project) => {
+  const [tasks, transitions] = await Promise.all([
+    Task.find({ project: project._id }).select('status createdAt'),
+    StatusTransition.find({ project: project._id }).sort({ at: 1, _id: 1 })
+  ]);
+
+  const transitionsByTask = new Map(tasks.map(task => [task._id.toString(), []]));
+  transitions.forEach(transition => {
+    const taskTransitions = transitionsByTask.get(transition.task.toString());
+    if (taskTransitions) taskTransitions.push(transition);
+  });
+
+  return tasks.map(task => {
+    const taskTransitions = transitionsByTask.get(task._id.toString());
+
+    if (taskTransitions.length === 0) {
+      taskTransitions.push({
+        at: task.createdAt,
+        from: null,
+        to: task.status,
+        isDone: project.isDoneStatus(task.status)
+      });
+    } else if (taskTransitions[0].from !== null) {
+      // History started after the task was created, so it was created in
+      // the status its first recorded transition left
+      taskTransitions.unshift({
+        at: task.createdAt,
+        from: null,
+        to: taskTransitions[0].from,
+        isDone: project.isDoneStatus(taskTransitions[0].from)
+      });
+    }
+
+    // Whether the task was done before each transition
+    let wasDone = false;
+    return taskTransitions.map(transition => {
+      const entry = {
+        at: transition.at,
+        from: transition.from,
+        to: transition.to,
+        isDone: transition.isDone,
+        wasDone,
+        isCreation: transition.from === null
+      };
+      wasDone = transition.isDone;
+      return entry;
+    });
+  });
+};
+
+// A transition that finished a task that was not done before
+const isCompletion = (entry) => !entry.isCreation && entry.isDone && !entry.wasDone;
+
+// Daily totals of open and done tasks at the end of each day in the range,
+// for charting a burndown (open) or burnup (done against total).
+const burndownReport = async (project, { from, to }) => {
+  const histories = await loadHistory(project);
+
+  // Changes to the total and done counts, in time order
+  const changes = histories.flat()
+    .map(entry => ({
+      at: entry.at,
+      total: entry.isCreation ? 1 : 0,
+      done: Number(entry.isDone) - Number(entry.wasDone)
+    }))
+    .sort((a, b) => a.at - b.at);
+
+  const days = [];
+  let total = 0;
+  let done = 0;
+  let index = 0;
+
+  for (let day = from.getTime(); day <= to.getTime(); day += DAY_MS) {
+    const endOfDay = day + DAY_MS - 1;
+
+    while (index < changes.length && changes[index].at.getTime() <= endOfDay) {
+      total += changes[index].total;
+      done += changes[index].done;
+      index += 1;
+    }
+
+    days.push({
+      date: toDateKey(new Date(day)),
+      total,
+      open: total - done,
+      done
+    });
+  }
+
+  return { days };
+};
+
+// Weekly counts of tasks created and completed in the range. Weeks start on
+// Monday; the first and last weeks only count days inside the range.
+const throughputReport = async (project, { from, to }) => {
+  const histories = await loadHistory(project);
+
+  const weeks = new Map();
+  for (let week = startOfWeek(from).getTime(); week <= to.getTime(); week += WEEK_MS) {
+    weeks.set(week, { weekStart: toDateKey(new Date(week)), created: 0, completed: 0 });
+  }
+
+  histories.flat().forEach(entry => {
+    if (entry.at < from || entry.at > to) return;
+
+    const week = weeks.get(startOfWeek(entry.at).getTime());
+    if (entry.isCreation) week.created += 1;
+    if (isCompletion(entry)) week.completed += 1;
+  });
+
+  return { weeks: [...weeks.values()] };
+};
+
+// Lead time (created → done) and cycle time (started → done) of tasks
+// completed in the range, overall and per week. A task starts when it first
+// moves to a status that is not done; tasks finished without starting only
+// count towards lead time. Reopened tasks count once per completion.
+const cycleTimeReport = async (project, { from, to }) => {
+  const histories = await loadHistory(project);
+
+  const weeks = new Map();
+  for (let week = startOfWeek(from).getTime(); week <= to.getTime(); week += WEEK_MS) {
+    weeks.set(week, { weekStart: toDateKey(new Date(week)), leadTimes: [], cycleTimes: [] });
+  }
+
+  const leadTimes = [];
+  const cycleTimes = [];
+
+  histories.forEach(history => {
+    const createdAt = history[0].at;
+    const started = history.find(entry => (
+      !entry.isCreation && !entry.isDone && entry.from !== entry.to
+    ));
+
+    history.filter(isCompletion).forEach(entry => {
+      if (entry.at < from || entry.at > to) return;
+
+      const week = weeks.get(startOfWeek(entry.at).getTime());
+      const leadTime = entry.at - createdAt;
+      leadTimes.push(leadTime);
+      week.leadTimes.push(leadTime);
+
+      if (started && started.at <= entry.at) {
+        const cycleTime = entry.at - started.at;
+        cycleTimes.push(cycleTime);
+        week.cycleTimes.push(cycleTime);
+      }
+    });
+  });
+
+  return {
+    leadTime: summarizeDurations(leadTimes),
+    cycleTime: summarizeDurations(cycleTimes),
+    weeks: [...weeks.values()].map(week => ({
+      weekStart: week.weekStart,
+      completed: week.leadTimes.length,
+      averageLeadTimeDays: week.leadTimes.length > 0 ? toDays(average(week.leadTimes)) : null,
+      averageCycleTimeDays: week.cycleTimes.length > 0 ? toDays(average(week.cycleTimes)) : null
+    }))
+  };
+};
+
+module.exports = {
+  burndownReport,
+  throughputReport,
+  cycleTimeReport
+};
@@ -0,0 +1,180 @@
+// Streaming CSV and JSON exports of projects and their tasks
+
+const { once } = require('events');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { toCsvRow } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// CSV columns for a task. List values are separated by "; ", and checklist
+// items are written one per line as "[x] text" or "[ ] text".
+const TASK_COLUMNS = [
+  'id',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'assignees',
+  'parent',
+  'blockedBy',
+  'checklist',
+  'createdAt',
+  'updatedAt'
+];
+
+// Plain export record for a project, without its tasks
+const projectRecord = (project) => ({
+  id: project._id.toString(),
+  name: project.name,
+  description: project.description,
+  status: project.status,
+  archivedAt: project.archivedAt,
+  workflow: {
+    statuses: project.workflow.statuses.map(({ name, isDone }) => ({ name, isDone })),
+    transitions: project.workflow.transitions.map(({ from, to }) => ({ from, to }))
+  },
+  createdAt: project.createdAt,
+  updatedAt: project.updatedAt
+});
+
+// Plain export record for a task with its assignees populated. Assignees are
+// identified by email so the file still makes sense outside this account.
+const taskRecord = (task) => ({
+  id: task._id.toString(),
+  title: task.title,
+  description: task.description,
+  status: task.status,
+  priority: task.priority,
+  dueDate: task.dueDate || null,
+  assignees: task.assignees.filter(Boolean).map(assignee => assignee.email),
+  parent: task.parent ? task.parent.toString() : null,
+  blockedBy: task.blockedBy.map(blocker => blocker.toString()),
+  checklist: task.checklist.map(item => ({ text: item.text, done: item.done })),
+  recurrence: task.recurrence
+    ? {
+      frequency: task.recurrence.frequency,
+      interval: task.recurrence.interval,
+      endDate: task.recurrence.endDate,
+      count: task.recurrence.count
+    }
+    : null,
+  createdAt: task.createdAt,
+  updatedAt: task.updatedAt
+});
+
+// Flatten a task record into CSV values in TASK_COLUMNS order
+const taskCsvValues = (record) => TASK_COLUMNS.map(column => {
+  const value = record[column];
+
+  if (column === 'checklist') {
+    return value.map(item => `${item.done ? '[x]' : '[ ]'} ${item.text}`).join('\n');
+  }
+  return Array.isArray(value) ? value.join('; ') : value;
+});
+
+// Write to the response, waiting for it to drain when its buffer is full.
+// Throws once the client has gone away so the export stops early.
+const write = async (res, chunk) => {
+  if (res.destroyed) {
+    throw new Error('Export connection closed by the client.');
+  }
+
+  if (!res.write(chunk)) {
+    const controller = new AbortController();
+    try {
+      await Promise.race([
+        once(res, 'drain', { signal: controller.signal }),
+        once(res, 'close', { signal: controller.signal })
+      ]);
+    } finally {
+      controller.abort(); // Remove the listener that did not fire
+    }
+  }
+};
+
+// Stream every task in a project, oldest first, one record at a time
+const eachTask = async (project, callback) => {
+  const cursor = Task.find({ project: project._id })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate('assignees', 'email')
+    .cursor();
+
+  for await (const task of cursor) {
+    await callback(taskRecord(task));
+  }
+};
+
+// Start an export download with the given file name (without extension)
+const startDownload = (res, format, fileName) => {
+  const safeName = fileName.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'export';
+
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${format}"`);
+};
+
+// Stream a project with all its tasks. JSON exports are
+// { project, tasks }; CSV exports have one row per task.
+const streamProjectExport = async (res, project, format) => {
+  startDownload(res, format, project.name);
+
+  if (format === 'csv') {
+    await write(res, toCsvRow(TASK_COLUMNS));
+    await eachTask(project, record => write(res, toCsvRow(taskCsvValues(record))));
+    res.end();
+    return;
+  }
+
+  await write(res, `{"project":${JSON.stringify(projectRecord(project))},"tasks":[`);
+  let separator = '';
+  await eachTask(project, async record => {
+    await write(res, separator + JSON.stringify(record));
+    separator = ',';
+  });
+  res.end(']}');
+};
+
+// Stream every project the user owns or is a member of, archived ones
+// included, with all their tasks. JSON exports are { exportedAt, projects }
+// with each project's tasks nested; CSV exports have one row per task with
+// the project's id and name in front.
+const streamAccountExport = async (res, user, format) => {
+  const projects = await Project.find(Project.accessFilter(user._id)).sort({ createdAt: 1, _id: 1 });
+
+  startDownload(res, format, `${user.username}-export`);
+
+  if (format === 'csv') {
+    await write(res, toCsvRow(['projectId', 'projectName', ...TASK_COLUMNS]));
+    for (const project of projects) {
+      await eachTask(project, record => write(
+        res,
+        toCsvRow([project._id.toString(), project.name, ...taskCsvValues(record)])
+      ));
+    }
+    res.end();
+    return;
+  }
+
+  await write(res, `{"exportedAt":${JSON.stringify(new Date())},"projects":[`);
+  for (const [index, project] of projects.entries()) {
+    const record = JSON.stringify({ ...projectRecord(project), tasks: [] });
+
+    // Stream the tasks into the project's (empty) tasks array
+    await write(res, `${index > 0 ? ',' : ''}${record.slice(0, -2)}`);
+    let separator = '';
+    await eachTask(project, async task => {
+      await write(res, separator + JSON.stringify(task));
+      separator = ',';
+    });
+    await write(res, ']}');
+  }
+  res.end(']}');
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  TASK_COLUMNS,
+  streamProjectExport,
+  streamAccountExport
+};
@@ -0,0 +1,320 @@
+// Importing tasks into a project from CSV or JSON
+
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { parseCsv, unprotectFormula } = require('./csv');
+const { rankAfter } = require('./rank');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+const IMPORT_MAX_ROWS = 1000; // Most tasks a single import may create
+const IMPORT_MAX_SIZE = '5mb'; // Largest import request body
+
+// Task fields an imported row can set. `id` only identifies the row so other
+// rows can name it as their parent or blocker; tasks always get new IDs.
+const IMPORT_FIELDS = [
+  'id',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'assignees',
+  'parent',
+  'blockedBy',
+  'checklist'
+];
+
+// Column names (and priority names) used by other tools' CSV exports
+const MAPPING_PRESETS = {
+  trello: {
+    columns: {
+      id: 'Card ID',
+      title: 'Card Name',
+      description: 'Card Description',
+      status: 'List Name',
+      dueDate: 'Due Date',
+      assignees: 'Members'
+    },
+    priorities: {}
+  },
+  jira: {
+    columns: {
+      id: 'Issue id',
+      title: 'Summary',
+      description: 'Description',
+      status: 'Status',
+      priority: 'Priority',
+      dueDate: 'Due Date',
+      assignees: 'Assignee',
+      parent: 'Parent id'
+    },
+    priorities: {
+      Highest: 'Urgent',
+      High: 'High',
+      Medium: 'Medium',
+      Low: 'Low',
+      Lowest: 'Low'
+    }
+  }
+};
+
+const importError = (message, extra = {}) => ({ error: { status: 400, body: { message, ...extra } } });
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+// Split "a; b" or "a, b" (or take an array) into a list of trimmed values
+const toList = (value) => (Array.isArray(value) ? value : toText(value).split(/[;,]/))
+  .map(toText)
+  .filter(Boolean);
+
+// Checklist items come as { text, done } objects, strings, or text with one
+// item per line, optionally prefixed with "[x]" or "[ ]"
+const toChecklist = (value) => (Array.isArray(value) ? value : toText(value).split(/\r?\n/))
+  .map(item => {
+    if (item && typeof item === 'object') {
+      return { text: toText(item.text), done: Boolean(item.done) };
+    }
+
+    const match = toText(item).match(/^\[( |x|X)\]\s*(.*)$/);
+    return match
+      ? { text: match[2].trim(), done: match[1] !== ' ' }
+      : { text: toText(item), done: false };
+  })
+  .filter(item => item.text);
+
+// Turn CSV rows into records keyed by task field, using the column names from
+// the mapping, then the preset, then the field names themselves. Column names
+// are matched case-insensitively.
+const csvRecords = (text, columns) => {
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (error) {
+    return importError(error.message);
+  }
+
+  if (rows.length === 0) {
+    return importError('The CSV file is empty.');
+  }
+
+  const header = rows[0].map(name => name.trim().toLowerCase());
+  const indexes = {};
+  IMPORT_FIELDS.forEach(field => {
+    const index = header.indexOf((columns[field] || field).toLowerCase());
+    if (index !== -1) indexes[field] = index;
+  });
+
+  if (indexes.title === undefined) {
+    return importError(`The CSV file has no "${columns.title || 'title'}" column for task titles.`);
+  }
+
+  // Cells our exports protected against formula injection are read back as written
+  const records = rows.slice(1).map(row => Object.fromEntries(
+    Object.entries(indexes).map(([field, index]) => [
+      field,
+      row[index] === undefined ? undefined : unprotectFormula(row[index])
+    ])
+  ));
+
+  return { records };
+};
+
+// Parse an import request body into plain records, one per task.
+// CSV bodies are text; JSON bodies are an array of tasks or an export with
+// a `tasks` array. Returns { records } or { error } describing the response.
+const parseImportRecords = (body, { format, preset, mapping = {} }) => {
+  let parsed;
+
+  if (format === 'csv') {
+    if (typeof body !== 'string' || body.trim() === '') {
+      return importError('Please send the CSV file as the request body with Content-Type: text/csv.');
+    }
+
+    parsed = csvRecords(body, { ...(preset ? MAPPING_PRESETS[preset].columns : {}), ...mapping });
+    if (parsed.error) return parsed;
+  } else {
+    const tasks = Array.isArray(body) ? body : body && body.tasks;
+    if (!Array.isArray(tasks) || tasks.some(task => !task || typeof task !== 'object')) {
+      return importError('Please send a JSON array of tasks, or an export with a "tasks" array.');
+    }
+
+    parsed = { records: tasks };
+  }
+
+  if (parsed.records.length === 0) {
+    return importError('There are no tasks to import.');
+  }
+
+  if (parsed.records.length > IMPORT_MAX_ROWS) {
+    return importError(`Imports are limited to ${IMPORT_MAX_ROWS} tasks.`);
+  }
+
+  return parsed;
+};
+
+// Find the refs that lie on a cycle in a graph given as Map(ref -> [refs])
+const findCycleRefs = (edges) => {
+  const onCycle = new Set();
+
+  edges.forEach((_, start) => {
+    const seen = new Set();
+    const stack = [...(edges.get(start) || [])];
+
+    while (stack.length > 0) {
+      const ref = stack.pop();
+      if (ref === start) {
+        onCycle.add(start);
+        return;
+      }
+      if (seen.has(ref)) continue;
+      seen.add(ref);
+      stack.push(...(edges.get(ref) || []));
+    }
+  });
+
+  return onCycle;
+};
+
+// Build (unsaved) tasks for a project from import records and validate each
+// against the Task schema. Parents and blockers must be other rows in the
+// import, identified by their `id`; assignees are project members given by
+// email or username. `statusMap` renames statuses before they are checked.
+// Returns { tasks, rowErrors } where rowErrors lists { row, title, errors }
+// for every invalid row (rows are numbered from 1, not counting a CSV header).
+const buildImportTasks = async (project, records, { preset, statusMap = {} } = {}) => {
+  const priorities = preset ? MAPPING_PRESETS[preset].priorities : {};
+
+  // Members can be named by email or username
+  const memberIds = [project.user, ...project.members.map(member => member.user)];
+  const members = await User.find({ _id: { $in: memberIds } }).select('username email');
+  const membersByName = new Map();
+  members.forEach(member => {
+    membersByName.set(member.email.toLowerCase(), member._id);
+    membersByName.set(member.username.toLowerCase(), member._id);
+  });
+
+  // Give every referenced row its new task ID up front
+  const ids = new Map();
+  const duplicateRefs = new Set();
+  records.forEach(record => {
+    const ref = toText(record.id);
+    if (!ref) return;
+    if (ids.has(ref)) duplicateRefs.add(ref);
+    else ids.set(ref, new mongoose.Types.ObjectId());
+  });
+
+  const parentEdges = new Map();
+  const blockerEdges = new Map();
+  records.forEach(record => {
+    const ref = toText(record.id);
+    if (!ref || duplicateRefs.has(ref)) return;
+    parentEdges.set(ref, toText(record.parent) ? [toText(record.parent)] : []);
+    blockerEdges.set(ref, toList(record.blockedBy));
+  });
+  const parentCycles = findCycleRefs(parentEdges);
+  const blockerCycles = findCycleRefs(blockerEdges);
+
+  // New tasks go to the bottom of their status column, in import order
+  const lastRanks = new Map();
+  const nextRank = async (status) => {
+    const rank = lastRanks.has(status)
+      ? rankAfter(lastRanks.get(status))
+      : await Task.nextRank(project._id, status);
+    lastRanks.set(status, rank);
+    return rank;
+  };
+
+  const tasks = [];
+  const rowErrors = [];
+
+  for (const [index, record] of records.entries()) {
+    const errors = [];
+    const ref = toText(record.id);
+
+    if (duplicateRefs.has(ref)) {
+      errors.push(`Another row has the same id "${ref}".`);
+    }
+
+    const rawStatus = toText(record.status);
+    const status = toText(statusMap[rawStatus]) || rawStatus || project.defaultStatus();
+
+    const rawPriority = toText(record.priority);
+    const priority = priorities[rawPriority] || rawPriority || 'Medium';
+
+    let dueDate = null;
+    const rawDueDate = record.dueDate instanceof Date ? record.dueDate : toText(record.dueDate);
+    if (rawDueDate) {
+      dueDate = new Date(rawDueDate);
+      if (Number.isNaN(dueDate.getTime())) {
+        errors.push(`Invalid due date "${rawDueDate}".`);
+        dueDate = null;
+      }
+    }
+
+    const assignees = [];
+    toList(record.assignees).forEach(name => {
+      const memberId = membersByName.get(name.toLowerCase());
+      if (memberId) assignees.push(memberId);
+      else errors.push(`Assignee "${name}" is not a member of this project.`);
+    });
+
+    const parentRef = toText(record.parent);
+    if (parentRef && !ids.has(parentRef)) {
+      errors.push(`Parent "${parentRef}" is not a row in this import.`);
+    } else if (parentCycles.has(ref)) {
+      errors.push('Parent links between rows form a cycle.');
+    }
+
+    const blockerRefs = toList(record.blockedBy);
+    blockerRefs.filter(blockerRef => !ids.has(blockerRef)).forEach(blockerRef => {
+      errors.push(`Blocker "${blockerRef}" is not a row in this import.`);
+    });
+    if (blockerCycles.has(ref)) {
+      errors.push('Dependencies between rows form a cycle.');
+    }
+
+    const task = new Task({
+      _id: (ref && !duplicateRefs.has(ref) && ids.get(ref)) || new mongoose.Types.ObjectId(),
+      title: toText(record.title),
+      description: toText(record.description),
+      status,
+      priority,
+      project,
+      rank: await nextRank(status),
+      dueDate,
+      assignees: [...new Set(assignees.map(id => id.toString()))],
+      parent: parentRef ? ids.get(parentRef) || null : null,
+      blockedBy: [...new Set(blockerRefs.map(blockerRef => ids.get(blockerRef)).filter(Boolean))],
+      checklist: toChecklist(record.checklist).map(item => ({
+        ...item,
+        completedAt: item.done ? new Date() : null
+      }))
+    });
+
+    // Apply the Task schema rules: lengths, enums, statuses and due dates
+    try {
+      await task.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      errors.push(...Object.values(error.errors).map(err => err.message));
+    }
+
+    if (errors.length > 0) {
+      rowErrors.push({ row: index + 1, title: toText(record.title), errors });
+    } else {
+      tasks.push(task);
+    }
+  }
+
+  return { tasks, rowErrors };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_MAX_SIZE,
+  MAPPING_PRESETS,
+  IMPORT_FIELDS,
+  parseImportRecords,
+  buildImportTasks
+};
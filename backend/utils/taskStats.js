@@ -0,0 +1,120 @@
+// Task statistics aggregated per project
+
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+
+const PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
+
+// Percentage of tasks that are done, rounded to a whole number
+const completionRate = (doneTasks, totalTasks) => (totalTasks > 0
+  ? Math.round((doneTasks / totalTasks) * 100)
+  : 0);
+
+// Statistics for a project without tasks
+const emptyStats = (project) => ({
+  totalTasks: 0,
+  doneTasks: 0,
+  openTasks: 0,
+  overdueTasks: 0,
+  completionRate: 0,
+  // Every workflow status and priority is listed, even with no tasks
+  byStatus: Object.fromEntries((project ? project.statusNames() : []).map(status => [status, 0])),
+  byPriority: Object.fromEntries(PRIORITIES.map(priority => [priority, 0]))
+});
+
+// Compute task statistics for each of the given projects in a single
+// aggregation. Done statuses come from each project's workflow.
+// Returns a Map of project id to { totalTasks, doneTasks, openTasks,
+// overdueTasks, completionRate, byStatus, byPriority }.
+const projectTaskStats = async (projects, now = new Date()) => {
+  const statsByProject = new Map(
+    projects.map(project => [project._id.toString(), emptyStats(project)])
+  );
+  if (projects.length === 0) return statsByProject;
+
+  const isDone = Project.doneTaskExpr(projects);
+
+  const groups = await Task.aggregate([
+    { $match: { project: { $in: projects.map(project => project._id) } } },
+    // Count each status and priority combination once per project...
+    {
+      $group: {
+        _id: { project: '$project', status: '$status', priority: '$priority' },
+        count: { $sum: 1 },
+        done: { $sum: { $cond: [isDone, 1, 0] } },
+        overdue: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: [{ $type: '$dueDate' }, 'date'] },
+                  { $lt: ['$dueDate', now] },
+                  { $not: [isDone] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    },
+    // ...then roll the combinations up into one document per project
+    {
+      $group: {
+        _id: '$_id.project',
+        totalTasks: { $sum: '$count' },
+        doneTasks: { $sum: '$done' },
+        overdueTasks: { $sum: '$overdue' },
+        breakdown: {
+          $push: { status: '$_id.status', priority: '$_id.priority', count: '$count' }
+        }
+      }
+    }
+  ]);
+
+  for (const group of groups) {
+    const stats = statsByProject.get(group._id.toString());
+
+    stats.totalTasks = group.totalTasks;
+    stats.doneTasks = group.doneTasks;
+    stats.openTasks = group.totalTasks - group.doneTasks;
+    stats.overdueTasks = group.overdueTasks;
+    stats.completionRate = completionRate(group.doneTasks, group.totalTasks);
+
+    for (const { status, priority, count } of group.breakdown) {
+      stats.byStatus[status] = (stats.byStatus[status] || 0) + count;
+      stats.byPriority[priority] = (stats.byPriority[priority] || 0) + count;
+    }
+  }
+
+  return statsByProject;
+};
+
+// Add up per-project statistics into totals across all of them
+const sumTaskStats = (statsList) => {
+  const totals = emptyStats();
+
+  for (const stats of statsList) {
+    totals.totalTasks += stats.totalTasks;
+    totals.doneTasks += stats.doneTasks;
+    totals.openTasks += stats.openTasks;
+    totals.overdueTasks += stats.overdueTasks;
+
+    for (const [status, count] of Object.entries(stats.byStatus)) {
+      totals.byStatus[status] = (totals.byStatus[status] || 0) + count;
+    }
+    for (const [priority, count] of Object.entries(stats.byPriority)) {
+      totals.byPriority[priority] = (totals.byPriority[priority] || 0) + count;
+    }
+  }
+
+  totals.completionRate = completionRate(totals.doneTasks, totals.totalTasks);
+  return totals;
+};
+
+module.exports = {
+  completionRate,
+  projectTaskStats,
+  sumTaskStats
+};
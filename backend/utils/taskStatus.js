@@ -0,0 +1,79 @@
+// Rules applied whenever a task's status changes, shared by every route
+// that can change it
+
+const { TASK_FIELDS, snapshot, diffSnapshots, recordActivity } = require('./activity');
+
+// Check whether a task may move to a new status under its project's workflow.
+// Returns null when allowed, or { status, body } describing the error response.
+const checkStatusChange = async (task, nextStatus, { overrideBlockers = false } = {}) => {
+  if (nextStatus === task.status) return null;
+
+  const project = await task.getWorkflowProject();
+  const statuses = project.statusNames();
+
+  if (!statuses.includes(nextStatus)) {
+    return {
+      status: 400,
+      body: {
+        message: `Invalid status. Must be one of: ${statuses.join(', ')}`
+      }
+    };
+  }
+
+  if (!project.canTransition(task.status, nextStatus)) {
+    return {
+      status: 400,
+      body: {
+        message: `This project's workflow does not allow moving a task from "${task.status}" to "${nextStatus}".`
+      }
+    };
+  }
+
+  // A task cannot be finished while tasks blocking it are unfinished
+  if (project.isDoneStatus(nextStatus) && !project.isDoneStatus(task.status) && !overrideBlockers) {
+    const blockers = await task.findUnfinishedBlockers();
+
+    if (blockers.length > 0) {
+      return {
+        status: 409,
+        body: {
+          message: 'Task is blocked by unfinished tasks. Pass overrideBlockers: true to complete it anyway.',
+          blockers
+        }
+      };
+    }
+  }
+
+  return null;
+};
+
+// Follow-up work once a status change has been saved: finishing a recurring
+// task creates its next occurrence. Returns the new task, or null.
+const afterStatusChange = async (task, previousStatus, actor) => {
+  if (!task.recurrence || previousStatus === task.status) return null;
+
+  const project = await task.getWorkflowProject();
+  if (!project.isDoneStatus(task.status) || project.isDoneStatus(previousStatus)) return null;
+
+  const next = await task.createNextOccurrence();
+
+  if (next) {
+    await recordActivity({
+      actor,
+      project: next.project,
+      task: next,
+      entityType: 'task',
+      entityId: next._id,
+      action: 'created',
+      summary: next.title,
+      changes: diffSnapshots({}, snapshot(next, TASK_FIELDS))
+    });
+  }
+
+  return next;
+};
+
+module.exports = {
+  checkStatusChange,
+  afterStatusChange
+};
@@ -0,0 +1,37 @@
+// Trash retention and purging for soft-deleted projects and tasks
+
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days items stay in the trash before they are purged automatically
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// When a trashed item will be purged automatically
+const trashExpiresAt = (doc) => new Date(doc.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// Permanently delete trashed projects and tasks older than the retention period.
+// Document hooks remove their tasks, subtasks and comments.
+const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+
+  const projects = await Project.find({ deletedAt: { $lt: cutoff } });
+  for (const project of projects) {
+    await project.deleteOne();
+  }
+
+  // Tasks trashed along with a project or parent task go with that item
+  const tasks = await Task.find({ deletedAt: { $lt: cutoff }, trashedWith: null });
+  for (const task of tasks) {
+    await task.deleteOne();
+  }
+
+  return { projects: projects.length, tasks: tasks.length };
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  trashExpiresAt,
+  purgeExpiredTrash
+};
@@ -0,0 +1,75 @@
+// Checks that keep webhooks from reaching the server's own network. Without
+// them a project owner could point a webhook at localhost, a private network
+// or a cloud metadata address and probe internal services.
+
+const dns = require('dns');
+const net = require('net');
+
+// Set WEBHOOK_ALLOW_PRIVATE_URLS=true to send webhooks to local receivers while testing
+const ALLOW_PRIVATE_WEBHOOK_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Loopback, private, link-local and other non-public address ranges
+const privateAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // Link-local, including cloud metadata services
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96], // NAT64, which can reach IPv4 addresses
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8] // Multicast
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Whether an IP address is outside the public internet. IPv4-mapped IPv6
+// addresses (::ffff:127.0.0.1) are checked as IPv4.
+const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const version = net.isIP(address);
+  if (version === 0) return true; // Not an address at all
+  return privateAddresses.check(address, version === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Whether a URL's host is obviously local: localhost or a private IP address.
+// Hostnames that resolve to private addresses are caught by publicLookup.
+const isPrivateHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase(); // IPv6 hosts are bracketed
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return net.isIP(host) !== 0 && isPrivateAddress(host);
+};
+
+// DNS lookup for outgoing requests that fails for hosts resolving to a
+// private address. Checking the address actually connected to also stops
+// DNS rebinding between a check and the request.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new Error(`${hostname} resolves to a private or local address.`));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  ALLOW_PRIVATE_WEBHOOK_URLS,
+  isPrivateAddress,
+  isPrivateHost,
+  publicLookup
+};
@@ -0,0 +1,183 @@
+// Signing, sending and retrying outgoing webhook deliveries
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { ALLOW_PRIVATE_WEBHOOK_URLS, isPrivateHost, publicLookup } = require('./webhookTargets');
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const CLAIM_MS = 60 * 1000; // How long an attempt holds a delivery before it may be retried
+
+// Wait before each retry: 1 minute, 5 minutes, 30 minutes, 2 hours, 12 hours
+const RETRY_DELAYS_MS = [1, 5, 30, 120, 720].map(minutes => minutes * 60 * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+// Generate a signing secret for a webhook
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Sign a delivery: the hex HMAC-SHA256 of "<timestamp>.<body>" keyed with
+// the webhook's secret. Including the timestamp lets receivers reject replays.
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// POST a JSON body to a webhook URL and resolve with the response status.
+// Redirects are not followed, and the response body is discarded so
+// receivers' responses are never shown to project owners. Unless private
+// URLs are allowed, requests to local and private addresses fail.
+const postToWebhook = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+
+  if (!ALLOW_PRIVATE_WEBHOOK_URLS && isPrivateHost(target.hostname)) {
+    return reject(new Error('Webhook URL points to localhost or a private network address.'));
+  }
+
+  const client = target.protocol === 'https:' ? https : http;
+  const request = client.request(target, {
+    method: 'POST',
+    headers: {
+      ...headers,
+      'Content-Length': Buffer.byteLength(body)
+    },
+    lookup: ALLOW_PRIVATE_WEBHOOK_URLS ? undefined : publicLookup
+  }, response => {
+    response.resume();
+    response.on('end', () => {
+      clearTimeout(timer);
+      resolve(response.statusCode);
+    });
+  });
+
+  const timer = setTimeout(() => {
+    const error = new Error(`No response within ${DELIVERY_TIMEOUT_MS / 1000} seconds.`);
+    error.name = 'TimeoutError';
+    request.destroy(error);
+  }, DELIVERY_TIMEOUT_MS);
+
+  request.on('error', error => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  request.end(body);
+});
+
+// Send a pending delivery once and record the outcome. Failed attempts are
+// scheduled for a retry until MAX_ATTEMPTS is reached.
+// Returns the updated delivery, or null if it is not due or already being sent.
+const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+
+  // Claim the delivery so the retry job and an immediate attempt never send it twice
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.error = webhook ? 'Webhook is disabled.' : 'Webhook was deleted.';
+    delivery.nextAttemptAt = null;
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000).toString();
+  let succeeded = false;
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now;
+
+  try {
+    const status = await postToWebhook(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Pro-Tasker-Webhooks/1.0',
+      'X-Webhook-Id': webhook._id.toString(),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery._id.toString(),
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+    }, body);
+
+    // A redirect is not a successful delivery
+    succeeded = status >= 200 && status < 300;
+    delivery.responseStatus = status;
+    delivery.error = succeeded ? null : `Receiver responded with HTTP ${status}.`;
+  } catch (error) {
+    delivery.responseStatus = null;
+    delivery.error = error.message;
+  }
+
+  delivery.duration = Date.now() - now.getTime();
+
+  if (succeeded) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + RETRY_DELAYS_MS[delivery.attempts - 1]);
+  }
+
+  return delivery.save();
+};
+
+// Queue an event for every active webhook of its project that subscribes to
+// it, then make the first attempts. Returns the created deliveries.
+const enqueueDeliveries = async (event) => {
+  const webhooks = await Webhook.find({ project: event.project, active: true });
+  const matching = webhooks.filter(webhook => webhook.matches(event));
+  if (matching.length === 0) return [];
+
+  const deliveries = await WebhookDelivery.insertMany(matching.map(webhook => ({
+    webhook: webhook._id,
+    project: webhook.project,
+    event: event.type,
+    payload: event
+  })));
+
+  await Promise.all(deliveries.map(delivery => attemptDelivery(delivery._id)));
+  return deliveries;
+};
+
+// Send a past delivery's payload again as a new delivery and wait for the
+// first attempt. Returns the new delivery.
+const redeliver = async (original) => {
+  const delivery = await WebhookDelivery.create({
+    webhook: original.webhook,
+    project: original.project,
+    event: original.event,
+    payload: original.payload,
+    redeliveryOf: original._id
+  });
+
+  return (await attemptDelivery(delivery._id)) || delivery;
+};
+
+// Retry deliveries whose next attempt is due. Returns how many were attempted.
+const retryDueDeliveries = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(100)
+    .select('_id');
+
+  for (const delivery of due) {
+    await attemptDelivery(delivery._id);
+  }
+
+  return due.length;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  enqueueDeliveries,
+  redeliver,
+  retryDueDeliveries
+};